@@ -2,14 +2,31 @@
  * Source-to-sink streaming library.
  *
  * Provides components for building data streaming pipelines:
+ * - pipeline: Fluent builder wiring source, stages and sink with one lifecycle
  * - batch: Collects records and flushes to sink
  * - circuit: Circuit breaker for failure isolation
  * - timedBatch: Decorator for time-based flushing
- * - clock: Time provider for circuit breaker
+ * - map, filter, flatMap: Collector decorators transforming records
+ * - mapAsync, filterAsync, flatMapAsync: Async collector decorators keeping order
+ * - clock: Time provider and scheduler for circuit breaker and retries
  * - pollingSource: Generic polling source with time window
+ * - memoryCheckpoint, fileCheckpoint: Checkpoint stores letting polling sources resume after restarts
  * - clickhouseSink: ClickHouse sink (accepts URL)
+ * - bisectingSink: Sink decorator isolating poison records into a dead-letter sink
+ * - fileSink: Sink appending records as JSON lines
+ * - memorySink: Sink keeping records in memory
  * - mqttSource: MQTT subscription source (accepts URL)
+ * - mqttSink: MQTT sink publishing each record (accepts URL)
+ * - decoders: Built-in MQTT payload decoders (json, text, raw, cbor, msgpack)
+ * - topicMatch: MQTT topic wildcard matching
+ * - router: Collector routing records to collectors by MQTT topic pattern
  * - lokiSource: Loki polling source (accepts URL)
+ * - lokiTailSource: Loki live tail source over WebSocket (accepts URL)
+ * - lokiSink: Loki sink pushing records as log entries (accepts URL)
+ * - parsers: Built-in Loki log line parsers (json, logfmt)
+ * - rateCircuit: Circuit breaker tripping on failure or slow-call ratio
+ * - retryingSink: Sink decorator retrying failed writes with backoff
+ * - spillStore: Disk-backed queue for records held while the circuit is open
  *
  * @example
  * import { batch, circuit, timedBatch, clock, clickhouseSink, mqttSource } from 'source-to-sink';
@@ -21,11 +38,33 @@
  * const source = mqttSource('mqtt://localhost:1883', 'sensors/#', collector);
  * source.start();
  */
+export { default as pipeline } from './src/pipeline.js';
 export { default as batch } from './src/batch.js';
 export { default as circuit } from './src/circuit.js';
 export { default as clock } from './src/clock.js';
 export { default as timedBatch } from './src/timedBatch.js';
+export { default as map } from './src/map.js';
+export { default as filter } from './src/filter.js';
+export { default as flatMap } from './src/flatMap.js';
+export { default as mapAsync } from './src/mapAsync.js';
+export { default as filterAsync } from './src/filterAsync.js';
+export { default as flatMapAsync } from './src/flatMapAsync.js';
 export { default as pollingSource } from './src/pollingSource.js';
+export { default as memoryCheckpoint } from './src/memoryCheckpoint.js';
+export { default as fileCheckpoint } from './src/fileCheckpoint.js';
 export { default as clickhouseSink } from './src/clickhouseSink.js';
+export { default as bisectingSink } from './src/bisectingSink.js';
+export { default as fileSink } from './src/fileSink.js';
+export { default as memorySink } from './src/memorySink.js';
 export { default as mqttSource } from './src/mqttSource.js';
+export { default as mqttSink } from './src/mqttSink.js';
+export { default as decoders } from './src/decoders.js';
+export { default as topicMatch } from './src/topicMatch.js';
+export { default as router } from './src/router.js';
 export { default as lokiSource } from './src/lokiSource.js';
+export { default as lokiTailSource } from './src/lokiTailSource.js';
+export { default as lokiSink } from './src/lokiSink.js';
+export { default as parsers } from './src/parsers.js';
+export { default as rateCircuit } from './src/rateCircuit.js';
+export { default as retryingSink } from './src/retryingSink.js';
+export { default as spillStore } from './src/spillStore.js';
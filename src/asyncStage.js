@@ -0,0 +1,68 @@
+/**
+ * Collector stage running an asynchronous handler for each record.
+ *
+ * Shared base of the asynchronous transform collectors. Records are
+ * handled one at a time in arrival order, and flush waits for every
+ * accepted record to reach the next collector first. Rejections of
+ * the transform are passed to the error handler together with the
+ * record; without a handler they reject the promise accept()
+ * returned, which the sources pass to their own error handler.
+ * Errors of the next collector reject it as well, without holding up
+ * later records. Results that complete after stop are discarded.
+ *
+ * @param {function} transform - Async function(record) computing the result
+ * @param {function} forward - Function(result, record) passing the result to next
+ * @param {object} next - Collector with accept(), flush(), and stop()
+ * @param {function} [onError] - Function(err, record) receiving transform failures (default rethrows)
+ * @returns {object} Collector with accept(), flush(), and stop() methods
+ */
+export default function asyncStage(transform, forward, next, onError = (err) => { throw err; }) {
+  if (!next || typeof next.accept !== 'function' || typeof next.flush !== 'function' || typeof next.stop !== 'function') {
+    throw new Error('Next must have accept(), flush() and stop() methods');
+  }
+  if (typeof onError !== 'function') {
+    throw new Error('Error handler must be a function');
+  }
+  let pending = Promise.resolve();
+  let epoch = 0;
+  return {
+    /**
+     * Queues a record for handling.
+     *
+     * @param {*} record - Record to accept
+     * @returns {Promise} Promise resolving once the record was handled, rejecting when it could not be
+     */
+    accept(record) {
+      const current = epoch;
+      const task = pending.then(async () => {
+        let result;
+        try {
+          result = await transform(record);
+        } catch (err) {
+          onError(err, record);
+          return undefined;
+        }
+        return current === epoch ? forward(result, record) : undefined;
+      });
+      // A failed record must not hold up the ones queued behind it.
+      pending = task.catch(() => {});
+      return task;
+    },
+    /**
+     * Waits for queued records, then flushes the next collector.
+     *
+     * @returns {Promise} Promise resolving with the downstream flush
+     */
+    async flush() {
+      await pending;
+      return next.flush();
+    },
+    /**
+     * Discards queued results and stops the next collector.
+     */
+    stop() {
+      epoch += 1;
+      next.stop();
+    }
+  };
+}
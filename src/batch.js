@@ -5,21 +5,42 @@
  * the configured sink. Uses circuit breaker for failure isolation.
  * For time-based flushing, wrap with timedBatch.
  *
+ * Sink writes may return a promise. At most one write is in flight,
+ * and records stay buffered until that write resolves. A rejected
+ * write is reported to the circuit and its records are kept for the
+ * next attempt.
+ *
+ * With a spill store, records that arrive while the circuit is open
+ * are moved out of memory into the store on flush. Once the circuit
+ * allows again, stored records are replayed in order before newer ones.
+ * Records left in the store by a previous run are replayed as soon as
+ * the batch is built; when that fails, they wait for the next flush.
+ *
+ * The in-memory buffer can be bounded with maxBuffered. When it is
+ * full, the overflow policy either drops the oldest buffered record
+ * (the incoming one when every buffered record is being written),
+ * drops the incoming record, throws from accept(), or holds the
+ * returned promise until the record fits (backpressure).
+ *
  * @example
- * const sink = { write: (records) => console.log(records) };
+ * const sink = { write: async (records) => console.log(records) };
  * const clk = clock();
  * const c = circuit(5, 60, clk);
  * const b = batch(sink, 100, c);
- * b.accept({ value: 42 });
- * b.flush();
+ * await b.accept({ value: 42 });
+ * await b.flush();
  * b.stop();
  *
  * @param {object} sink - Object with write(records) method
  * @param {number} size - Maximum batch size before automatic flush
  * @param {object} circuit - Circuit breaker with allowing(), succeed(), fail()
- * @returns {object} Batch collector with accept(), flush(), and stop() methods
+ * @param {object} [options] - Optional batch settings
+ * @param {object} [options.spill] - Store with append(), peek(), remove(), size() such as spillStore
+ * @param {number} [options.maxBuffered] - Maximum records held in memory (default unbounded)
+ * @param {string} [options.overflow] - Policy when full: drop-oldest (default), drop-newest, reject, backpressure
+ * @returns {object} Batch collector with accept(), flush(), dropped(), buffered(), and stop() methods
  */
-export default function batch(sink, size, circuit) {
+export default function batch(sink, size, circuit, options = {}) {
   if (!sink || typeof sink.write !== 'function') {
     throw new Error('Sink must have a write(records) method');
   }
@@ -29,47 +50,185 @@ export default function batch(sink, size, circuit) {
   if (!circuit || typeof circuit.allowing !== 'function') {
     throw new Error('Circuit must have an allowing() method');
   }
+  const spill = options.spill;
+  if (spill !== undefined && (!spill || typeof spill.append !== 'function')) {
+    throw new Error('Spill must have append(), peek(), remove() and size() methods');
+  }
+  const maxBuffered = options.maxBuffered ?? Infinity;
+  const overflow = options.overflow ?? 'drop-oldest';
+  if (typeof maxBuffered !== 'number' || maxBuffered < size) {
+    throw new Error(`Max buffered must be a number not less than size, got: ${maxBuffered}`);
+  }
+  if (!['drop-oldest', 'drop-newest', 'reject', 'backpressure'].includes(overflow)) {
+    throw new Error(`Overflow must be drop-oldest, drop-newest, reject or backpressure, got: ${overflow}`);
+  }
   let records = [];
-  const perform = () => {
-    if (records.length === 0) {
+  let accepted = 0;
+  let inflight = 0;
+  let blocked = [];
+  const dropped = { oldest: 0, newest: 0, rejected: 0 };
+  let running = Promise.resolve();
+  let waiting = null;
+  const write = async (pending) => {
+    try {
+      await sink.write(pending);
+    } catch (err) {
+      circuit.fail();
+      throw err;
+    }
+    circuit.succeed();
+  };
+  const replay = async () => {
+    while (await spill.size() > 0) {
+      const pending = await spill.peek(size);
+      await write(pending);
+      await spill.remove(pending.length);
+    }
+  };
+  const consume = async (task) => {
+    const buffer = records;
+    const pending = buffer.map((entry) => entry.record);
+    inflight = pending.length;
+    try {
+      await task(pending);
+      buffer.splice(0, pending.length);
+    } finally {
+      inflight = 0;
+    }
+    release();
+  };
+  const perform = async () => {
+    const stored = spill ? await spill.size() : 0;
+    if (records.length === 0 && stored === 0) {
       return;
     }
     if (!circuit.allowing()) {
+      if (spill && records.length > 0) {
+        await consume((pending) => spill.append(pending));
+      }
       return;
     }
-    const pending = records;
-    try {
-      sink.write(pending);
-      records = [];
-      circuit.succeed();
-    } catch (err) {
-      circuit.fail();
-      throw err;
+    if (stored > 0) {
+      await replay();
+    }
+    if (records.length === 0) {
+      return;
+    }
+    await consume(write);
+  };
+  const schedule = () => {
+    if (waiting === null) {
+      waiting = running.catch(() => {}).then(() => {
+        waiting = null;
+        return perform();
+      });
+      running = waiting;
+    }
+    return waiting;
+  };
+  const admit = (entry) => {
+    records.push(entry);
+    if (records.length >= size) {
+      return schedule().catch(() => {});
+    }
+    return Promise.resolve();
+  };
+  const release = () => {
+    while (blocked.length > 0 && records.length < maxBuffered) {
+      const { resolve, ...entry } = blocked.shift();
+      resolve(admit(entry));
     }
   };
+  const settled = (target) => !records.some((entry) => entry.seq < target)
+    && !blocked.some((entry) => entry.seq < target);
+  const policies = {
+    'drop-oldest': (entry) => {
+      if (records.length > inflight) {
+        records.splice(inflight, 1);
+        dropped.oldest += 1;
+        return admit(entry);
+      }
+      // Every buffered record is being written, so the incoming one goes.
+      dropped.newest += 1;
+      return Promise.resolve();
+    },
+    'drop-newest': () => {
+      dropped.newest += 1;
+      return Promise.resolve();
+    },
+    reject: () => {
+      dropped.rejected += 1;
+      throw new Error(`Batch buffer is full: ${records.length} records buffered`);
+    },
+    backpressure: (entry) => new Promise((resolve) => {
+      blocked.push({ ...entry, resolve });
+    })
+  };
+  if (spill) {
+    // Replay what a previous run stored without waiting for new records.
+    schedule().catch(() => {});
+  }
   return {
     /**
      * Accepts a record into the batch.
      *
+     * Write failures are reported to the circuit rather than
+     * through the returned promise, so callers may ignore it.
+     * When the buffer is full, the overflow policy decides what
+     * happens to the record.
+     *
      * @param {*} record - Record to accept
+     * @returns {Promise} Promise resolving when any triggered flush settles
+     * @throws {Error} When the buffer is full under the reject policy
      */
     accept(record) {
-      records.push(record);
-      if (records.length >= size) {
-        perform();
+      const entry = { seq: accepted, record };
+      accepted += 1;
+      if (records.length >= maxBuffered) {
+        return policies[overflow](entry);
       }
+      return admit(entry);
     },
     /**
      * Forces an immediate flush of all pending records.
+     *
+     * Resolves with true when every record accepted before the call
+     * has left the buffer, written to the sink or moved to the spill
+     * store (or discarded by the overflow policy), and with false when
+     * some are still buffered because the circuit is open.
+     *
+     * @returns {Promise<boolean>} Promise resolving when the write completes, rejecting on failure
      */
     flush() {
-      perform();
+      const target = accepted;
+      return schedule().then(() => settled(target));
+    },
+    /**
+     * Returns how many records each overflow policy discarded.
+     *
+     * @returns {object} Counters with oldest, newest, and rejected
+     */
+    dropped() {
+      return { ...dropped };
+    },
+    /**
+     * Returns how many records are held in memory, waiting or blocked.
+     *
+     * @returns {number} Records not yet written or spilled
+     */
+    buffered() {
+      return records.length + blocked.length;
     },
     /**
      * Stops the batch collector and clears pending records.
      */
     stop() {
       records = [];
+      inflight = 0;
+      for (const { resolve } of blocked) {
+        resolve();
+      }
+      blocked = [];
     }
   };
 }
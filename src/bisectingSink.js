@@ -0,0 +1,67 @@
+/**
+ * Sink decorator that isolates poison records into a dead-letter sink.
+ *
+ * When a write fails with an error the poisoned predicate reports as a
+ * data error, the records are split in half and each half is written
+ * separately, repeating until the failing records are isolated. Each
+ * isolated record is written to the dead-letter sink as {record, error}
+ * and the remaining records reach the sink. Other errors are rethrown,
+ * so a wrapping batch retains the records and reports the failure to
+ * the circuit; halves written before such an error are written again
+ * on the next attempt.
+ *
+ * @example
+ * const deadLetter = fileSink('/var/lib/pipeline/dead-letter.jsonl');
+ * const sink = bisectingSink(
+ *   clickhouseSink('http://localhost:8123', 'metrics'),
+ *   deadLetter,
+ *   (err) => /Cannot parse/.test(err.message)
+ * );
+ * const b = batch(sink, 1000, circuit(5, 60, clock()));
+ *
+ * @param {object} sink - Underlying sink with write(records) method
+ * @param {object} deadLetter - Sink with write(records) receiving {record, error}
+ * @param {function} poisoned - Predicate(err) returning true for data errors
+ * @returns {object} Sink with write(records) method
+ */
+export default function bisectingSink(sink, deadLetter, poisoned) {
+  if (!sink || typeof sink.write !== 'function') {
+    throw new Error('Sink must have a write(records) method');
+  }
+  if (!deadLetter || typeof deadLetter.write !== 'function') {
+    throw new Error('Dead letter must have a write(records) method');
+  }
+  if (typeof poisoned !== 'function') {
+    throw new Error('Poisoned must be a function');
+  }
+  const attempt = async (records) => {
+    try {
+      await sink.write(records);
+    } catch (err) {
+      if (!poisoned(err)) {
+        throw err;
+      }
+      if (records.length === 1) {
+        await deadLetter.write([{ record: records[0], error: err.message }]);
+        return;
+      }
+      const middle = Math.ceil(records.length / 2);
+      await attempt(records.slice(0, middle));
+      await attempt(records.slice(middle));
+    }
+  };
+  return {
+    /**
+     * Writes records, diverting poison records to the dead-letter sink.
+     *
+     * @param {Array} records - Array of records to write
+     * @returns {Promise} Promise resolving when all records are written or dead-lettered
+     */
+    write(records) {
+      if (records.length === 0) {
+        return Promise.resolve();
+      }
+      return attempt(records);
+    }
+  };
+}
@@ -1,40 +1,20 @@
-/**
- * Closed circuit state allowing operations.
- *
- * @returns {object} State with allowing() returning true
- */
-function closed() {
-  return {
-    allowing() {
-      return true;
-    }
-  };
-}
+import circuitStates from './circuitStates.js';
 
-/**
- * Open circuit state blocking operations.
- *
- * @param {number} timestamp - When the circuit was opened
- * @param {object} clk - Clock for time tracking
- * @param {number} timeout - Seconds before expiration
- * @returns {object} State with allowing() and expired()
- */
-function open(timestamp, clk, timeout) {
-  return {
-    allowing() {
-      return false;
-    },
-    expired() {
-      return (clk.millis() - timestamp) / 1000 >= timeout;
-    }
-  };
-}
+const { closed, open, halfOpen } = circuitStates;
 
 /**
  * Circuit breaker for failure isolation in data pipelines.
  *
  * Implements the circuit breaker pattern to prevent cascading failures.
- * The circuit opens after a threshold of failures and closes after a timeout.
+ * The circuit opens after a threshold of failures. Once the timeout
+ * expires it becomes half-open and allows a limited number of trial
+ * operations: one success closes it, one failure reopens it at once.
+ * With a multiplier above 1, each consecutive trip multiplies the open
+ * timeout, up to maxTimeout, until the circuit closes again.
+ *
+ * The current state can be inspected, and listeners registered with
+ * on() are notified of open, halfOpen and close transitions with the
+ * clock time of the transition. Listeners are called synchronously.
  *
  * @example
  * const clk = clock();
@@ -51,9 +31,13 @@ function open(timestamp, clk, timeout) {
  * @param {number} threshold - Number of failures before opening the circuit
  * @param {number} timeout - Seconds to wait before attempting recovery
  * @param {object} clk - Clock with millis() method for time tracking
- * @returns {object} Circuit breaker with allowing(), succeed(), and fail() methods
+ * @param {object} [options] - Optional circuit settings
+ * @param {number} [options.trials] - Trial operations allowed while half-open (default 1)
+ * @param {number} [options.multiplier] - Open timeout growth per consecutive trip (default 1)
+ * @param {number} [options.maxTimeout] - Upper bound of the grown timeout in seconds (default unbounded)
+ * @returns {object} Circuit breaker with allowing(), succeed(), fail(), state(), failures(), reopensAt(), and on() methods
  */
-export default function circuit(threshold, timeout, clk) {
+export default function circuit(threshold, timeout, clk, options = {}) {
   if (typeof threshold !== 'number' || threshold < 1) {
     throw new Error(`Threshold must be a positive number, got: ${threshold}`);
   }
@@ -63,8 +47,40 @@ export default function circuit(threshold, timeout, clk) {
   if (!clk || typeof clk.millis !== 'function') {
     throw new Error('Clock must have a millis() method');
   }
+  const trials = options.trials ?? 1;
+  const multiplier = options.multiplier ?? 1;
+  const maxTimeout = options.maxTimeout ?? Infinity;
+  if (!Number.isInteger(trials) || trials < 1) {
+    throw new Error(`Trials must be a positive integer, got: ${trials}`);
+  }
+  if (typeof multiplier !== 'number' || multiplier < 1) {
+    throw new Error(`Multiplier must be a number not less than 1, got: ${multiplier}`);
+  }
+  if (typeof maxTimeout !== 'number' || maxTimeout < timeout) {
+    throw new Error(`Max timeout must be a number not less than timeout, got: ${maxTimeout}`);
+  }
   let failures = 0;
+  let trips = 0;
   let state = closed();
+  const listeners = { open: [], halfOpen: [], close: [] };
+  const transition = (next) => {
+    state = next;
+    const event = next.name() === 'closed' ? 'close' : next.name();
+    const snapshot = { state: next.name(), at: clk.millis(), failures, reopensAt: next.reopensAt() };
+    for (const listener of listeners[event].slice()) {
+      listener(snapshot);
+    }
+  };
+  const trip = () => {
+    trips += 1;
+    transition(open(clk.millis(), clk, Math.min(maxTimeout, timeout * multiplier ** (trips - 1))));
+  };
+  const refresh = () => {
+    if (state.expired()) {
+      failures = 0;
+      transition(halfOpen(trials));
+    }
+  };
   return {
     /**
      * Checks if the circuit allows operations.
@@ -72,31 +88,79 @@ export default function circuit(threshold, timeout, clk) {
      * @returns {boolean} True if circuit allows operations, false if open
      */
     allowing() {
-      if (state.allowing()) {
-        return true;
-      }
-      if (state.expired()) {
-        state = closed();
-        failures = 0;
-        return true;
-      }
-      return false;
+      refresh();
+      return state.allowing();
     },
     /**
-     * Records a successful operation, resetting the failure count.
+     * Records a successful operation, resetting the failure count
+     * and closing the circuit.
      */
     succeed() {
       failures = 0;
-      state = closed();
+      trips = 0;
+      if (state.name() !== 'closed') {
+        transition(closed());
+      }
     },
     /**
      * Records a failed operation, potentially opening the circuit.
+     * A failed trial while half-open reopens it immediately. A late
+     * failure while open, from a call started before it opened, is
+     * ignored so it does not trip the circuit again.
      */
     fail() {
+      if (state.name() === 'open') {
+        return;
+      }
       failures += 1;
-      if (failures >= threshold) {
-        state = open(clk.millis(), clk, timeout);
+      if (state.probing() || failures >= threshold) {
+        trip();
+      }
+    },
+    /**
+     * Returns the current state name.
+     *
+     * @returns {string} One of closed, open, or halfOpen
+     */
+    state() {
+      refresh();
+      return state.name();
+    },
+    /**
+     * Returns the number of failures counted since the last reset.
+     *
+     * @returns {number} Failure count
+     */
+    failures() {
+      return failures;
+    },
+    /**
+     * Returns when an open circuit starts allowing trial operations.
+     *
+     * @returns {number|null} Clock time in milliseconds, or null when not open
+     */
+    reopensAt() {
+      refresh();
+      return state.reopensAt();
+    },
+    /**
+     * Registers a listener for a state transition.
+     *
+     * @param {string} event - One of open, halfOpen, or close
+     * @param {function} listener - Function receiving {state, at, failures, reopensAt}
+     * @returns {function} Function removing the listener
+     */
+    on(event, listener) {
+      if (!Object.hasOwn(listeners, event)) {
+        throw new Error(`Event must be open, halfOpen or close, got: ${event}`);
+      }
+      if (typeof listener !== 'function') {
+        throw new Error('Listener must be a function');
       }
+      listeners[event].push(listener);
+      return () => {
+        listeners[event] = listeners[event].filter((l) => l !== listener);
+      };
     }
   };
 }
@@ -0,0 +1,91 @@
+/**
+ * Closed circuit state allowing operations.
+ *
+ * @returns {object} State with allowing() returning true
+ */
+function closed() {
+  return {
+    allowing() {
+      return true;
+    },
+    expired() {
+      return false;
+    },
+    probing() {
+      return false;
+    },
+    name() {
+      return 'closed';
+    },
+    reopensAt() {
+      return null;
+    }
+  };
+}
+
+/**
+ * Open circuit state blocking operations.
+ *
+ * @param {number} timestamp - When the circuit was opened
+ * @param {object} clk - Clock for time tracking
+ * @param {number} timeout - Seconds before expiration
+ * @returns {object} State with allowing(), expired() and reopensAt()
+ */
+function open(timestamp, clk, timeout) {
+  return {
+    allowing() {
+      return false;
+    },
+    expired() {
+      return (clk.millis() - timestamp) / 1000 >= timeout;
+    },
+    probing() {
+      return false;
+    },
+    name() {
+      return 'open';
+    },
+    reopensAt() {
+      return timestamp + timeout * 1000;
+    }
+  };
+}
+
+/**
+ * Half-open circuit state allowing a limited number of trial operations.
+ *
+ * @param {number} trials - Trial operations allowed before blocking
+ * @returns {object} State with allowing() consuming one trial per call
+ */
+function halfOpen(trials) {
+  let remaining = trials;
+  return {
+    allowing() {
+      if (remaining === 0) {
+        return false;
+      }
+      remaining -= 1;
+      return true;
+    },
+    expired() {
+      return false;
+    },
+    probing() {
+      return true;
+    },
+    name() {
+      return 'halfOpen';
+    },
+    reopensAt() {
+      return null;
+    }
+  };
+}
+
+/**
+ * Circuit breaker states shared by circuit and rateCircuit.
+ *
+ * Each state answers allowing(), expired(), probing(), name() and
+ * reopensAt(); the breakers decide when to move between them.
+ */
+export default { closed, open, halfOpen };
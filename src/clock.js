@@ -1,14 +1,16 @@
 /**
  * Real clock implementation using system time.
  *
- * Provides current time in milliseconds for time-dependent operations.
+ * Provides current time in milliseconds for time-dependent operations
+ * and schedules delays for components that wait between attempts.
  * Use fakeClock in tests to control time deterministically.
  *
  * @example
  * const clk = clock();
  * const now = clk.millis();
+ * await clk.sleep(500);
  *
- * @returns {object} Clock with millis() method
+ * @returns {object} Clock with millis() and sleep() methods
  */
 export default function clock() {
   return {
@@ -19,6 +21,37 @@ export default function clock() {
      */
     millis() {
       return Date.now();
+    },
+    /**
+     * Waits for the specified number of milliseconds.
+     *
+     * Aborting the signal clears the timer, so a cancelled wait does
+     * not keep the process alive.
+     *
+     * @param {number} ms - Milliseconds to wait
+     * @param {AbortSignal} [signal] - Signal ending the wait early
+     * @returns {Promise} Promise resolving after the delay or on abort
+     */
+    sleep(ms, signal) {
+      return new Promise((resolve) => {
+        if (signal && signal.aborted) {
+          resolve();
+          return;
+        }
+        const abort = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+        const timer = setTimeout(() => {
+          if (signal) {
+            signal.removeEventListener('abort', abort);
+          }
+          resolve();
+        }, ms);
+        if (signal) {
+          signal.addEventListener('abort', abort, { once: true });
+        }
+      });
     }
   };
 }
@@ -0,0 +1,61 @@
+import { decode as decodeCbor } from 'cbor-x';
+import { decode as decodeMsgpack } from '@msgpack/msgpack';
+
+/**
+ * Built-in payload decoders for mqttSource.
+ *
+ * Each decoder receives the raw message Buffer and returns the
+ * decoded payload, throwing when the payload cannot be decoded.
+ *
+ * @example
+ * const source = mqttSource('mqtt://localhost:1883', 'sensors/#,cams/#', collector, {
+ *   decoder: { 'sensors/#': decoders.json, 'cams/+/frame': decoders.raw }
+ * });
+ */
+export default {
+  /**
+   * Parses the payload as UTF-8 JSON.
+   *
+   * @param {Buffer} payload - Raw message payload
+   * @returns {*} Parsed JSON value
+   */
+  json(payload) {
+    return JSON.parse(payload.toString('utf8'));
+  },
+  /**
+   * Decodes the payload as UTF-8 text.
+   *
+   * @param {Buffer} payload - Raw message payload
+   * @returns {string} Payload text
+   */
+  text(payload) {
+    return payload.toString('utf8');
+  },
+  /**
+   * Passes the payload through as raw bytes.
+   *
+   * @param {Buffer} payload - Raw message payload
+   * @returns {Buffer} Unmodified payload
+   */
+  raw(payload) {
+    return payload;
+  },
+  /**
+   * Decodes the payload as CBOR.
+   *
+   * @param {Buffer} payload - Raw message payload
+   * @returns {*} Decoded value
+   */
+  cbor(payload) {
+    return decodeCbor(payload);
+  },
+  /**
+   * Decodes the payload as MessagePack.
+   *
+   * @param {Buffer} payload - Raw message payload
+   * @returns {*} Decoded value
+   */
+  msgpack(payload) {
+    return decodeMsgpack(payload);
+  }
+};
@@ -0,0 +1,67 @@
+/**
+ * Acknowledger holding PUBACKs until the collector has flushed.
+ *
+ * Holds the id of every QoS 1 message and periodically flushes the
+ * collector. When the flush reports that every record accepted before
+ * it was delivered, the PUBACKs of the messages received before the
+ * flush are sent. Held ids are forgotten when the connection closes,
+ * since the broker redelivers those messages on the next session.
+ *
+ * mqtt.js 5 has no public API for this, so the client's handleMessage
+ * hook is replaced and PUBACKs are sent with its internal _sendPacket.
+ * Both are checked up front, so a client without them fails loudly
+ * instead of acknowledging every message at once or never.
+ *
+ * @param {object} client - MQTT client
+ * @param {object} collector - Collector with flush()
+ * @param {number} interval - Seconds between flushes
+ * @returns {object} Acknowledger with cancel()
+ */
+export default function deferredAcks(client, collector, interval) {
+  if (typeof client.handleMessage !== 'function' || typeof client['_sendPacket'] !== 'function') {
+    throw new Error('Manual acknowledgement requires an mqtt.js 5 client with handleMessage() and _sendPacket()');
+  }
+  let held = [];
+  let busy = false;
+  client.handleMessage = (packet, callback) => {
+    if (!packet.qos) {
+      callback();
+      return;
+    }
+    held.push(packet.messageId);
+    // mqtt.js skips its own PUBACK when the callback receives an error
+    // and moves on to the next packet without waiting for the flush.
+    callback(new Error('PUBACK deferred until flush'));
+  };
+  client.on('close', () => {
+    held = [];
+  });
+  const release = async () => {
+    if (busy || held.length === 0) {
+      return;
+    }
+    busy = true;
+    const pending = held;
+    const covered = pending.length;
+    try {
+      const delivered = await collector.flush();
+      if (delivered !== false && pending === held) {
+        for (const messageId of pending.splice(0, covered)) {
+          // mqtt.js offers no public method to send a PUBACK later.
+          client['_sendPacket']({ cmd: 'puback', messageId });
+        }
+      }
+    } catch {
+      /* records stay buffered and are flushed again on the next tick */
+    } finally {
+      busy = false;
+    }
+  };
+  const handle = setInterval(release, interval * 1000);
+  return {
+    cancel() {
+      clearInterval(handle);
+      held = [];
+    }
+  };
+}
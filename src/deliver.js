@@ -0,0 +1,21 @@
+/**
+ * Passes a record to a collector, reporting a refused record.
+ *
+ * Shared by the sources. An error thrown by accept(), or a rejection
+ * of the promise it returns, goes to the error handler together with
+ * the record instead of escaping the source callback.
+ *
+ * @param {object} collector - Collector with accept() method
+ * @param {*} record - Record to accept
+ * @param {function} onError - Function(err, record) receiving the failure
+ * @returns {Promise} Promise resolving to true once accepted, false when the collector refused the record
+ */
+export default async function deliver(collector, record, onError) {
+  try {
+    await collector.accept(record);
+    return true;
+  } catch (err) {
+    onError(err, record);
+    return false;
+  }
+}
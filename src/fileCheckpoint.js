@@ -0,0 +1,61 @@
+import { promises as fs } from 'node:fs';
+
+/**
+ * File checkpoint store for pollingSource.
+ *
+ * Keeps the position as JSON in the given file. Each save writes a
+ * temporary file next to it and renames it over the checkpoint, so a
+ * crash leaves either the old or the new position, never a torn file.
+ * Saves are applied one at a time in call order.
+ *
+ * @example
+ * const checkpoint = fileCheckpoint('/var/lib/pipeline/loki.checkpoint.json');
+ * const source = lokiSource('http://localhost:3100', '{app="traefik"}', 10, collector, clock(), { checkpoint });
+ *
+ * @param {string} file - Path of the checkpoint file
+ * @returns {object} Checkpoint store with load() and save(until) methods
+ */
+export default function fileCheckpoint(file) {
+  if (typeof file !== 'string' || file.length === 0) {
+    throw new Error('File must be a non-empty string');
+  }
+  let queue = Promise.resolve();
+  return {
+    /**
+     * Reads the saved position.
+     *
+     * @returns {Promise} Promise resolving to the position in milliseconds, or null when the file is missing
+     */
+    async load() {
+      let text;
+      try {
+        text = await fs.readFile(file, 'utf8');
+      } catch (err) {
+        if (err.code === 'ENOENT') {
+          return null;
+        }
+        throw err;
+      }
+      const { until } = JSON.parse(text);
+      if (typeof until !== 'number') {
+        throw new Error(`Checkpoint file has no position: ${file}`);
+      }
+      return until;
+    },
+    /**
+     * Saves the position.
+     *
+     * @param {number} until - Position in milliseconds
+     * @returns {Promise} Promise resolving when the position is on disk
+     */
+    save(until) {
+      const run = queue.then(async () => {
+        const temp = `${file}.tmp`;
+        await fs.writeFile(temp, JSON.stringify({ until }));
+        await fs.rename(temp, file);
+      });
+      queue = run.catch(() => {});
+      return run;
+    }
+  };
+}
@@ -0,0 +1,32 @@
+import { promises as fs } from 'node:fs';
+
+/**
+ * File sink appending records as JSON lines.
+ *
+ * Writes one JSON document per record to the end of the file,
+ * creating it when missing. Useful as a dead-letter sink.
+ *
+ * @example
+ * const deadLetter = fileSink('/var/lib/pipeline/dead-letter.jsonl');
+ * await deadLetter.write([{ record: { value: 42 }, error: 'Cannot parse' }]);
+ *
+ * @param {string} file - Path of the file to append to
+ * @returns {object} Sink with write(records) method
+ */
+export default function fileSink(file) {
+  if (typeof file !== 'string' || file.length === 0) {
+    throw new Error('File must be a non-empty string');
+  }
+  return {
+    /**
+     * Appends records to the file.
+     *
+     * @param {Array} records - Array of records to append
+     * @returns {Promise} Promise resolving when the append completes
+     */
+    write(records) {
+      const data = records.map((record) => `${JSON.stringify(record)}\n`).join('');
+      return fs.appendFile(file, data);
+    }
+  };
+}
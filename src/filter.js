@@ -0,0 +1,23 @@
+import stage from './stage.js';
+
+/**
+ * Collector decorator forwarding only records matching a predicate.
+ *
+ * Implements the collector contract expected by sources and
+ * timedBatch. When the predicate throws, the error and the record
+ * go to the error handler and the record is dropped.
+ *
+ * @example
+ * const collector = filter((r) => r.topic !== 'sensors/debug', batch(sink, 100, c));
+ *
+ * @param {function} pred - Function(record) returning true to keep the record
+ * @param {object} next - Collector with accept(), flush(), and stop()
+ * @param {function} [onError] - Function(err, record) receiving failures (default rethrows)
+ * @returns {object} Collector with accept(), flush(), and stop() methods
+ */
+export default function filter(pred, next, onError) {
+  if (typeof pred !== 'function') {
+    throw new Error('Predicate must be a function');
+  }
+  return stage(pred, (keep, record) => (keep ? next.accept(record) : undefined), next, onError);
+}
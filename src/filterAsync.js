@@ -0,0 +1,24 @@
+import asyncStage from './asyncStage.js';
+
+/**
+ * Collector decorator forwarding records matching an async predicate.
+ *
+ * Records are checked one at a time and forwarded in arrival order;
+ * flush waits for queued records first. When the predicate rejects,
+ * the error and the record go to the error handler and the record
+ * is dropped.
+ *
+ * @example
+ * const collector = filterAsync(async (r) => registry.known(r.topic), batch(sink, 100, c));
+ *
+ * @param {function} pred - Async function(record) resolving to true to keep the record
+ * @param {object} next - Collector with accept(), flush(), and stop()
+ * @param {function} [onError] - Function(err, record) receiving failures (default rethrows)
+ * @returns {object} Collector with accept(), flush(), and stop() methods
+ */
+export default function filterAsync(pred, next, onError) {
+  if (typeof pred !== 'function') {
+    throw new Error('Predicate must be a function');
+  }
+  return asyncStage(pred, (keep, record) => (keep ? next.accept(record) : undefined), next, onError);
+}
@@ -0,0 +1,29 @@
+import stage from './stage.js';
+
+/**
+ * Collector decorator expanding each record into zero or more records.
+ *
+ * Implements the collector contract expected by sources and
+ * timedBatch. The function returns an iterable whose items are
+ * forwarded in order. When it throws, the error and the original
+ * record go to the error handler and nothing is forwarded.
+ *
+ * @example
+ * const collector = flatMap((r) => JSON.parse(r.payload).readings, batch(sink, 100, c));
+ *
+ * @param {function} fn - Function(record) returning an iterable of records
+ * @param {object} next - Collector with accept(), flush(), and stop()
+ * @param {function} [onError] - Function(err, record) receiving failures (default rethrows)
+ * @returns {object} Collector with accept(), flush(), and stop() methods
+ */
+export default function flatMap(fn, next, onError) {
+  if (typeof fn !== 'function') {
+    throw new Error('Mapper must be a function');
+  }
+  return stage(
+    (record) => [...fn(record)],
+    (items) => Promise.all(items.map((item) => next.accept(item))),
+    next,
+    onError
+  );
+}
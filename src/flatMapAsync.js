@@ -0,0 +1,29 @@
+import asyncStage from './asyncStage.js';
+
+/**
+ * Collector decorator expanding each record with an async function.
+ *
+ * Records are expanded one at a time and their items forwarded in
+ * arrival order; flush waits for queued records first. When the
+ * function rejects, the error and the original record go to the
+ * error handler and nothing is forwarded.
+ *
+ * @example
+ * const collector = flatMapAsync(async (r) => lookup(r.deviceId), batch(sink, 100, c));
+ *
+ * @param {function} fn - Async function(record) resolving to an iterable of records
+ * @param {object} next - Collector with accept(), flush(), and stop()
+ * @param {function} [onError] - Function(err, record) receiving failures (default rethrows)
+ * @returns {object} Collector with accept(), flush(), and stop() methods
+ */
+export default function flatMapAsync(fn, next, onError) {
+  if (typeof fn !== 'function') {
+    throw new Error('Mapper must be a function');
+  }
+  return asyncStage(
+    async (record) => [...await fn(record)],
+    (items) => Promise.all(items.map((item) => next.accept(item))),
+    next,
+    onError
+  );
+}
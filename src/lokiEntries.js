@@ -0,0 +1,85 @@
+import parsers from './parsers.js';
+
+/**
+ * Reads the structured metadata of a stream value.
+ *
+ * Loki returns it as the third element of a value, either as a plain
+ * label map or, with categorized labels, under structuredMetadata.
+ *
+ * @param {*} extra - Third element of a stream value
+ * @returns {object|undefined} Structured metadata labels, if any
+ */
+function metadataOf(extra) {
+  if (!extra || typeof extra !== 'object') {
+    return undefined;
+  }
+  const metadata = extra.structuredMetadata ?? extra;
+  return Object.keys(metadata).length > 0 ? metadata : undefined;
+}
+
+/**
+ * Converter of Loki streams into entries for the Loki sources.
+ *
+ * Shared base of lokiSource and lokiTailSource. flatten() turns the
+ * streams of a response into values sorted by timestamp, each with a
+ * key identifying it by stream, timestamp and line for deduplication.
+ * entry() builds the forwarded {ts, ns, labels, line} object, adding
+ * metadata when present and fields when a parser is configured; lines
+ * that fail to parse go to the error handler and yield null.
+ *
+ * @param {object} options - Source options
+ * @param {string|function} [options.parser] - Built-in parser name (json, logfmt) or Function(line) returning fields
+ * @param {function} [options.onError] - Function(err, entry) receiving parse failures
+ * @returns {object} Converter with flatten(streams) and entry(value) methods
+ */
+export default function lokiEntries(options) {
+  const named = typeof options.parser === 'string' && Object.hasOwn(parsers, options.parser);
+  const parser = named ? parsers[options.parser] : options.parser;
+  if (parser !== undefined && typeof parser !== 'function') {
+    throw new Error(`Parser must be json, logfmt or a function, got: ${options.parser}`);
+  }
+  const onError = options.onError ?? (() => {});
+  if (typeof onError !== 'function') {
+    throw new Error('Error handler must be a function');
+  }
+  return {
+    /**
+     * Flattens streams into values sorted by timestamp.
+     *
+     * @param {Array} streams - Streams with stream labels and values
+     * @returns {Array} Values with ns, line, labels, metadata, and key
+     */
+    flatten(streams) {
+      const values = [];
+      for (const stream of streams) {
+        const labels = stream.stream ?? {};
+        const identity = JSON.stringify(labels);
+        for (const [ts, line, extra] of stream.values) {
+          values.push({ ns: BigInt(ts), line, labels, metadata: metadataOf(extra), key: `${ts}\n${identity}\n${line}` });
+        }
+      }
+      return values.sort((a, b) => (a.ns < b.ns ? -1 : a.ns > b.ns ? 1 : 0));
+    },
+    /**
+     * Builds the entry forwarded for a value.
+     *
+     * @param {object} value - Value from flatten()
+     * @returns {object|null} Entry, or null when the line failed to parse
+     */
+    entry(value) {
+      const result = { ts: Number(value.ns) / 1000000, ns: value.ns.toString(), labels: value.labels, line: value.line };
+      if (value.metadata) {
+        result.metadata = value.metadata;
+      }
+      if (parser) {
+        try {
+          result.fields = parser(value.line);
+        } catch (err) {
+          onError(err, result);
+          return null;
+        }
+      }
+      return result;
+    }
+  };
+}
@@ -0,0 +1,44 @@
+/**
+ * HTTP headers for Loki requests.
+ *
+ * Shared by the Loki sources and sink. Sets X-Scope-OrgID for the
+ * tenant, Authorization for basic auth or a bearer token, and adds
+ * any custom headers last so they can override the others.
+ *
+ * @param {object} options - Component options
+ * @param {string} [options.tenant] - Tenant sent as X-Scope-OrgID
+ * @param {string} [options.username] - Basic auth user name
+ * @param {string} [options.password] - Basic auth password
+ * @param {string} [options.token] - Bearer token
+ * @param {object} [options.headers] - Additional headers
+ * @returns {object} Headers object
+ */
+export default function lokiHeaders(options) {
+  const { tenant, username, password, token, headers = {} } = options;
+  if (tenant !== undefined && (typeof tenant !== 'string' || tenant.length === 0)) {
+    throw new Error('Tenant must be a non-empty string');
+  }
+  if ((username === undefined) !== (password === undefined)) {
+    throw new Error('Basic auth requires both username and password');
+  }
+  if (username !== undefined && token !== undefined) {
+    throw new Error('Use either basic auth or a bearer token, not both');
+  }
+  if (token !== undefined && (typeof token !== 'string' || token.length === 0)) {
+    throw new Error('Token must be a non-empty string');
+  }
+  if (!headers || typeof headers !== 'object') {
+    throw new Error('Headers must be an object');
+  }
+  const result = {};
+  if (tenant !== undefined) {
+    result['X-Scope-OrgID'] = tenant;
+  }
+  if (username !== undefined) {
+    result.Authorization = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+  }
+  if (token !== undefined) {
+    result.Authorization = `Bearer ${token}`;
+  }
+  return { ...result, ...headers };
+}
@@ -0,0 +1,198 @@
+import { promisify } from 'node:util';
+import { gzip } from 'node:zlib';
+import protobuf from 'protobufjs';
+import SnappyJS from 'snappyjs';
+import lokiHeaders from './lokiHeaders.js';
+
+const compress = promisify(gzip);
+
+const PushRequest = protobuf.Root.fromJSON({
+  nested: {
+    logproto: {
+      nested: {
+        PushRequest: { fields: { streams: { rule: 'repeated', type: 'StreamAdapter', id: 1 } } },
+        StreamAdapter: {
+          fields: {
+            labels: { type: 'string', id: 1 },
+            entries: { rule: 'repeated', type: 'EntryAdapter', id: 2 }
+          }
+        },
+        EntryAdapter: { fields: { timestamp: { type: 'Timestamp', id: 1 }, line: { type: 'string', id: 2 } } },
+        Timestamp: { fields: { seconds: { type: 'int64', id: 1 }, nanos: { type: 'int32', id: 2 } } }
+      }
+    }
+  }
+}).lookupType('logproto.PushRequest');
+
+/**
+ * Formats a label set as a LogQL stream selector.
+ *
+ * @param {object} labels - Label names mapped to values
+ * @returns {string} Selector like {app="api", env="prod"} with sorted names
+ */
+function selector(labels) {
+  const pairs = Object.keys(labels).sort().map((name) => {
+    const value = String(labels[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `${name}="${value}"`;
+  });
+  return `{${pairs.join(', ')}}`;
+}
+
+/**
+ * Reads the nanosecond timestamp of a record.
+ *
+ * Uses ns (as produced by lokiSource) when present, then ts in
+ * milliseconds, then the current time.
+ *
+ * @param {object} record - Record to timestamp
+ * @returns {bigint} Timestamp in nanoseconds
+ */
+function nanosOf(record) {
+  if (record && record.ns !== undefined) {
+    return BigInt(record.ns);
+  }
+  const ms = record && typeof record.ts === 'number' ? record.ts : Date.now();
+  return BigInt(Math.round(ms * 1000)) * 1000n;
+}
+
+/**
+ * Builds the error for a rejected push.
+ *
+ * Out-of-order and too-old entries get code OUT_OF_ORDER and are not
+ * worth retrying; rate limiting gets code RATE_LIMITED with the
+ * Retry-After seconds when given; anything else gets PUSH_FAILED.
+ *
+ * @param {number} status - HTTP status
+ * @param {string} body - Response body
+ * @param {string|null} retryAfter - Retry-After header value
+ * @returns {Error} Error with code, status, and retryAfter properties
+ */
+function rejection(status, body, retryAfter) {
+  const err = new Error(`Loki push failed with status ${status}: ${body.trim()}`);
+  err.status = status;
+  if (status === 429) {
+    err.code = 'RATE_LIMITED';
+    const seconds = Number(retryAfter);
+    err.retryAfter = retryAfter !== null && Number.isFinite(seconds) ? seconds : undefined;
+  } else if (status === 400 && /out of order|too far behind|too old/i.test(body)) {
+    err.code = 'OUT_OF_ORDER';
+  } else {
+    err.code = 'PUSH_FAILED';
+  }
+  return err;
+}
+
+/**
+ * Loki sink pushing records as log entries.
+ *
+ * Groups records into streams by the label set labelsFn computes,
+ * sorts the entries of each stream by timestamp and sends one push
+ * per write, either as gzip'd JSON or as snappy-compressed protobuf.
+ * Entry timestamps come from record.ns (nanoseconds, as produced by
+ * lokiSource), record.ts (milliseconds), or the current time.
+ * Rejected pushes reject the write with an error whose code is
+ * OUT_OF_ORDER, RATE_LIMITED or PUSH_FAILED. Loki never accepts
+ * OUT_OF_ORDER entries, so wrap the sink in a bisectingSink that
+ * moves them to a dead-letter sink; otherwise the batch keeps them and
+ * every later flush fails. The tenant, authorization and custom
+ * headers are sent as with lokiSource.
+ *
+ * @example
+ * const sink = lokiSink('http://localhost:3100', (r) => ({ app: 'bridge', device: r.device }), (r) => JSON.stringify(r));
+ * const isolating = bisectingSink(sink, fileSink('loki-rejected.jsonl'), (err) => err.code === 'OUT_OF_ORDER');
+ *
+ * @param {string} url - Loki base URL (e.g., 'http://localhost:3100')
+ * @param {function} labelsFn - Function(record) returning the stream labels
+ * @param {function} lineFn - Function(record) returning the log line
+ * @param {object} [options] - Optional push settings
+ * @param {string} [options.encoding] - Either json (gzip'd, default) or protobuf (snappy)
+ * @param {string} [options.tenant] - Tenant sent as X-Scope-OrgID
+ * @param {string} [options.username] - Basic auth user name
+ * @param {string} [options.password] - Basic auth password
+ * @param {string} [options.token] - Bearer token
+ * @param {object} [options.headers] - Additional request headers
+ * @returns {object} Sink with write(records) method
+ */
+export default function lokiSink(url, labelsFn, lineFn, options = {}) {
+  if (typeof url !== 'string' || url.length === 0) {
+    throw new Error('URL must be a non-empty string');
+  }
+  if (typeof labelsFn !== 'function') {
+    throw new Error('Labels function must be a function');
+  }
+  if (typeof lineFn !== 'function') {
+    throw new Error('Line function must be a function');
+  }
+  const encoding = options.encoding ?? 'json';
+  if (encoding !== 'json' && encoding !== 'protobuf') {
+    throw new Error(`Encoding must be json or protobuf, got: ${encoding}`);
+  }
+  const extra = lokiHeaders(options);
+  const group = (records) => {
+    const streams = new Map();
+    for (const record of records) {
+      const labels = labelsFn(record);
+      if (!labels || typeof labels !== 'object' || Object.keys(labels).length === 0) {
+        throw new Error('Labels function must return a non-empty object');
+      }
+      const key = selector(labels);
+      if (!streams.has(key)) {
+        streams.set(key, { labels, entries: [] });
+      }
+      streams.get(key).entries.push({ ns: nanosOf(record), line: String(lineFn(record)) });
+    }
+    for (const stream of streams.values()) {
+      stream.entries.sort((a, b) => (a.ns < b.ns ? -1 : a.ns > b.ns ? 1 : 0));
+    }
+    return streams;
+  };
+  const encode = async (streams) => {
+    if (encoding === 'protobuf') {
+      const message = PushRequest.fromObject({
+        streams: [...streams].map(([key, stream]) => ({
+          labels: key,
+          entries: stream.entries.map((entry) => ({
+            timestamp: { seconds: Number(entry.ns / 1000000000n), nanos: Number(entry.ns % 1000000000n) },
+            line: entry.line
+          }))
+        }))
+      });
+      return {
+        headers: { 'Content-Type': 'application/x-protobuf' },
+        body: SnappyJS.compress(Buffer.from(PushRequest.encode(message).finish()))
+      };
+    }
+    const payload = {
+      streams: [...streams.values()].map((stream) => ({
+        stream: Object.fromEntries(Object.entries(stream.labels).map(([name, value]) => [name, String(value)])),
+        values: stream.entries.map((entry) => [entry.ns.toString(), entry.line])
+      }))
+    };
+    return {
+      headers: { 'Content-Type': 'application/json', 'Content-Encoding': 'gzip' },
+      body: await compress(JSON.stringify(payload))
+    };
+  };
+  return {
+    /**
+     * Pushes records to Loki.
+     *
+     * @param {Array} records - Array of records to push
+     * @returns {Promise} Promise resolving when Loki accepts the push
+     */
+    async write(records) {
+      if (records.length === 0) {
+        return;
+      }
+      const { headers, body } = await encode(group(records));
+      const response = await globalThis.fetch(`${url}/loki/api/v1/push`, {
+        method: 'POST',
+        headers: { ...extra, ...headers },
+        body
+      });
+      if (!response.ok) {
+        throw rejection(response.status, await response.text(), response.headers.get('retry-after'));
+      }
+    }
+  };
+}
@@ -1,13 +1,66 @@
+import lokiEntries from './lokiEntries.js';
+import lokiHeaders from './lokiHeaders.js';
 import pollingSource from './pollingSource.js';
 
+/**
+ * Converts milliseconds to a nanosecond timestamp.
+ *
+ * @param {number} ms - Time in milliseconds
+ * @returns {bigint} Time in nanoseconds
+ */
+function nanos(ms) {
+  return BigInt(Math.floor(ms)) * 1000000n;
+}
+
+/**
+ * Identifies an entry by stream, timestamp and line.
+ *
+ * @param {object} entry - Entry forwarded by lokiSource
+ * @returns {string} Key of the entry
+ */
+function identify(entry) {
+  return `${entry.ns}\n${JSON.stringify(entry.labels)}\n${entry.line}`;
+}
+
 /**
  * Loki polling source for streaming log entries to a collector.
  *
  * Polls Loki at a specified interval and forwards log entries
  * to the collector. Creates HTTP client internally.
  *
+ * Each window is read oldest first in pages of pageSize entries,
+ * starting the next page at the last returned timestamp. Entries
+ * sharing that boundary nanosecond are returned again by Loki and
+ * skipped by stream, timestamp and line. When maxPages is reached
+ * before the window is exhausted, the poll reports how far it read and
+ * the next poll resumes from the last page instead of the end of the
+ * window, so busy windows are read late rather than truncated, and a
+ * checkpoint never passes entries that were not read yet.
+ * Backfill, lag, overlap and adaptive polling work as with
+ * pollingSource; overlap duplicates are recognized by stream,
+ * timestamp and line unless an identity function is given.
+ *
+ * Entries are forwarded as {ts, ns, labels, line} objects, where ts is
+ * in milliseconds and ns is the exact nanosecond timestamp as a string
+ * (BigInt(entry.ns) for arithmetic). Structured metadata, when
+ * present, is added as metadata. With a parser, the fields parsed from
+ * the line are added as fields; lines that fail to parse go to the
+ * error handler and are dropped.
+ *
+ * Requests carry the tenant as X-Scope-OrgID, basic or bearer
+ * authorization and any custom headers, and are aborted after the
+ * timeout or when the source stops. A non-2xx response or a timeout
+ * fails the poll with an error carrying the status, which goes to the
+ * error handler without an entry, and the window is read again on the
+ * next poll.
+ *
  * @example
- * const source = lokiSource('http://localhost:3100', '{app="traefik"}', 10, collector, clock);
+ * const source = lokiSource('http://localhost:3100', '{app="traefik"}', 10, collector, clock, {
+ *   pageSize: 5000,
+ *   parser: 'json',
+ *   tenant: 'team-a',
+ *   token: process.env.LOKI_TOKEN
+ * });
  * source.start();
  * // ... later
  * source.stop();
@@ -17,33 +70,128 @@ import pollingSource from './pollingSource.js';
  * @param {number} interval - Polling interval in seconds
  * @param {object} collector - Collector with accept() method
  * @param {object} clk - Clock with millis() method
+ * @param {object} [options] - Optional paging, parsing and request settings
+ * @param {number} [options.pageSize] - Entries requested per query_range call (default 1000)
+ * @param {number} [options.maxPages] - Pages read per poll before resuming on the next one (default 10)
+ * @param {string|function} [options.parser] - Built-in parser name (json, logfmt) or Function(line) returning fields
+ * @param {function} [options.onError] - Function(err, entry) receiving parse, poll and collector failures
+ * @param {string} [options.tenant] - Tenant sent as X-Scope-OrgID
+ * @param {string} [options.username] - Basic auth user name
+ * @param {string} [options.password] - Basic auth password
+ * @param {string} [options.token] - Bearer token
+ * @param {object} [options.headers] - Additional request headers
+ * @param {number} [options.timeout] - Seconds before a request is aborted (default 30)
+ * @param {object} [options.checkpoint] - Store with load() and save(until) to resume from after restarts
+ * @param {number} [options.lag] - Seconds windows end before the current time, covering ingestion delay (default 0)
+ * @param {number} [options.overlap] - Seconds of the previous window each poll reads again (default 0)
+ * @param {function} [options.identity] - Function(entry) returning a key for dropping overlap duplicates
+ * @param {number} [options.dedupeSize] - Keys remembered for dropping duplicates (default 10000)
+ * @param {object} [options.adaptive] - Adaptive schedule {min, max, step, multiplier} in seconds, as with pollingSource
+ * @param {object} [options.backfill] - Past range {from, to, window, concurrency, live, onProgress} to read first, as with pollingSource
  * @returns {object} Source with start() and stop() methods
  */
-export default function lokiSource(url, query, interval, collector, clk) {
+export default function lokiSource(url, query, interval, collector, clk, options = {}) {
   if (typeof url !== 'string' || url.length === 0) {
     throw new Error('URL must be a non-empty string');
   }
   if (typeof query !== 'string' || query.length === 0) {
     throw new Error('Query must be a non-empty string');
   }
-  const fetch = async (since, until) => {
+  const pageSize = options.pageSize ?? 1000;
+  const maxPages = options.maxPages ?? 10;
+  if (!Number.isInteger(pageSize) || pageSize < 1) {
+    throw new Error(`Page size must be a positive integer, got: ${pageSize}`);
+  }
+  if (!Number.isInteger(maxPages) || maxPages < 1) {
+    throw new Error(`Max pages must be a positive integer, got: ${maxPages}`);
+  }
+  const timeout = options.timeout ?? 30;
+  if (typeof timeout !== 'number' || timeout <= 0) {
+    throw new Error(`Timeout must be a positive number, got: ${timeout}`);
+  }
+  const headers = lokiHeaders(options);
+  const { flatten, entry } = lokiEntries(options);
+  // Paging positions of windows cut short by maxPages, by window start.
+  const cursors = new Map();
+  const page = async (start, end, signal) => {
     const params = new URLSearchParams({
       query: query,
-      start: (since * 1000000).toString(),
-      end: (until * 1000000).toString(),
-      limit: '1000'
+      start: start.toString(),
+      end: end.toString(),
+      limit: pageSize.toString(),
+      direction: 'forward'
     });
-    const response = await globalThis.fetch(`${url}/loki/api/v1/query_range?${params}`);
+    let response;
+    try {
+      response = await globalThis.fetch(`${url}/loki/api/v1/query_range?${params}`, {
+        headers,
+        signal: AbortSignal.any([signal, AbortSignal.timeout(timeout * 1000)])
+      });
+    } catch (err) {
+      if (err.name === 'TimeoutError') {
+        throw new Error(`Loki query timed out after ${timeout}s`);
+      }
+      throw err;
+    }
+    if (!response.ok) {
+      const err = new Error(`Loki query failed with status ${response.status}: ${(await response.text()).trim()}`);
+      err.status = response.status;
+      throw err;
+    }
     const data = await response.json();
+    return flatten(data.data && data.data.result ? data.data.result : []);
+  };
+  const fetch = async (since, until, signal) => {
+    const end = nanos(until);
+    const cursor = cursors.get(since);
+    let start = cursor ? cursor.start : nanos(since);
+    let seen = cursor ? cursor.seen : new Set();
+    let resume = null;
     const entries = [];
-    if (data.data && data.data.result) {
-      for (const stream of data.data.result) {
-        for (const [ts, line] of stream.values) {
-          entries.push({ ts: parseInt(ts, 10) / 1000000, line });
+    for (let pages = 1; ; pages++) {
+      const values = await page(start, end, signal);
+      for (const value of values) {
+        if (!(value.ns === start && seen.has(value.key))) {
+          const result = entry(value);
+          if (result !== null) {
+            entries.push(result);
+          }
         }
       }
+      if (values.length < pageSize) {
+        break;
+      }
+      const last = values[values.length - 1].ns;
+      const boundary = values.filter((value) => value.ns === last).map((value) => value.key);
+      if (last === start && boundary.every((key) => seen.has(key))) {
+        // A whole page within one nanosecond cannot be paged past.
+        start = last + 1n;
+        seen = new Set();
+      } else {
+        seen = new Set(last === start ? [...seen, ...boundary] : boundary);
+        start = last;
+      }
+      if (pages >= maxPages) {
+        resume = { since: Number(start / 1000000n), start, seen };
+        break;
+      }
+    }
+    cursors.delete(since);
+    if (resume) {
+      cursors.set(resume.since, resume);
     }
-    return entries;
+    return resume ? { records: entries, until: resume.since } : entries;
   };
-  return pollingSource(fetch, interval, collector, clk);
+  return pollingSource(fetch, interval, collector, clk, {
+    checkpoint: options.checkpoint,
+    backfill: options.backfill,
+    adaptive: options.adaptive,
+    lag: options.lag,
+    overlap: options.overlap,
+    identity: options.identity ?? (options.overlap ? identify : undefined),
+    dedupeSize: options.dedupeSize,
+    onError: options.onError,
+    // Every page of a window gets the whole request timeout.
+    timeout: timeout * maxPages
+  });
 }
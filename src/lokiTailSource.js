@@ -0,0 +1,204 @@
+import WebSocket from 'ws';
+import deliver from './deliver.js';
+import lokiEntries from './lokiEntries.js';
+import lokiHeaders from './lokiHeaders.js';
+import reconnectBackoff from './reconnectBackoff.js';
+
+/**
+ * Idle state for Loki tail source.
+ *
+ * @returns {object} State with tailing() returning false
+ */
+function idle() {
+  return {
+    tailing() {
+      return false;
+    }
+  };
+}
+
+/**
+ * Tailing state for Loki tail source.
+ *
+ * @param {object} session - Session with ready promise and cancel()
+ * @returns {object} State with tailing() returning true
+ */
+function tailing(session) {
+  return {
+    tailing() {
+      return true;
+    },
+    session() {
+      return session;
+    }
+  };
+}
+
+/**
+ * Loki tail source streaming log entries to a collector as they arrive.
+ *
+ * Opens the /loki/api/v1/tail WebSocket and forwards each entry to the
+ * collector as {ts, ns, labels, line}, like lokiSource, including
+ * metadata and parsed fields. When the connection drops it reconnects
+ * after base * multiplier^n seconds, capped, and resumes the tail from
+ * the last seen nanosecond, skipping entries at that nanosecond that
+ * were already forwarded, so no gap appears. Entries Loki could not
+ * send to a slow client are reported through dropped_entries notices
+ * and passed to onDropped as [{labels, ns}]; they can be backfilled
+ * with lokiSource. Errors of the collector go to the error handler
+ * with the entry, connection errors without one. The tenant, authorization and custom headers are sent
+ * with the WebSocket handshake, as with lokiSource.
+ *
+ * @example
+ * const source = lokiTailSource('http://localhost:3100', '{app="traefik"}', collector, {
+ *   parser: 'json',
+ *   onDropped: (dropped) => console.warn(`Loki dropped ${dropped.length} entries`)
+ * });
+ * await source.start();
+ * // ... later
+ * source.stop();
+ *
+ * @param {string} url - Loki base URL (e.g., 'http://localhost:3100')
+ * @param {string} query - LogQL query string
+ * @param {object} collector - Collector with accept() method
+ * @param {object} [options] - Optional tail settings
+ * @param {number} [options.delayFor] - Seconds Loki delays entries to reorder them, 0 to 5 (default 0)
+ * @param {string|function} [options.parser] - Built-in parser name (json, logfmt) or Function(line) returning fields
+ * @param {function} [options.onError] - Function(err, entry) receiving parse, collector and connection failures
+ * @param {function} [options.onDropped] - Function(dropped) receiving [{labels, ns}] of entries Loki dropped
+ * @param {string} [options.tenant] - Tenant sent as X-Scope-OrgID
+ * @param {string} [options.username] - Basic auth user name
+ * @param {string} [options.password] - Basic auth password
+ * @param {string} [options.token] - Bearer token
+ * @param {object} [options.headers] - Additional handshake headers
+ * @param {object} [options.reconnect] - Reconnect backoff settings
+ * @param {number} [options.reconnect.base] - Seconds before the first reconnect attempt (default 1)
+ * @param {number} [options.reconnect.cap] - Upper bound of a reconnect delay in seconds (default 30)
+ * @param {number} [options.reconnect.multiplier] - Factor applied to the delay after each failed attempt (default 2)
+ * @returns {object} Source with start() and stop() methods
+ */
+export default function lokiTailSource(url, query, collector, options = {}) {
+  if (typeof url !== 'string' || url.length === 0) {
+    throw new Error('URL must be a non-empty string');
+  }
+  if (typeof query !== 'string' || query.length === 0) {
+    throw new Error('Query must be a non-empty string');
+  }
+  if (!collector || typeof collector.accept !== 'function') {
+    throw new Error('Collector must have an accept() method');
+  }
+  const delayFor = options.delayFor ?? 0;
+  if (!Number.isInteger(delayFor) || delayFor < 0 || delayFor > 5) {
+    throw new Error(`Delay for must be an integer from 0 to 5, got: ${delayFor}`);
+  }
+  const headers = lokiHeaders(options);
+  const { flatten, entry } = lokiEntries(options);
+  const onError = options.onError ?? (() => {});
+  const onDropped = options.onDropped ?? (() => {});
+  if (typeof onDropped !== 'function') {
+    throw new Error('Dropped handler must be a function');
+  }
+  const backoff = reconnectBackoff(options.reconnect ?? {});
+  const endpoint = `${url.replace(/^http/, 'ws')}/loki/api/v1/tail`;
+  let state = idle();
+  let cursor = null;
+  const receive = (data) => {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (err) {
+      onError(err);
+      return;
+    }
+    for (const value of flatten(message.streams ?? [])) {
+      if (value.ns === cursor.ns && cursor.seen.has(value.key)) {
+        continue;
+      }
+      if (value.ns > cursor.ns) {
+        cursor = { ns: value.ns, seen: new Set() };
+      }
+      if (value.ns === cursor.ns) {
+        cursor.seen.add(value.key);
+      }
+      const result = entry(value);
+      if (result !== null) {
+        deliver(collector, result, onError);
+      }
+    }
+    const dropped = message.dropped_entries ?? [];
+    if (dropped.length > 0) {
+      onDropped(dropped.map((notice) => ({ labels: notice.labels ?? {}, ns: String(notice.timestamp) })));
+    }
+  };
+  const session = () => {
+    let socket = null;
+    let timer = null;
+    let attempts = 0;
+    let stopped = false;
+    let settle = null;
+    const ready = new Promise((resolve, reject) => {
+      settle = { resolve, reject };
+    });
+    // cancel() rejects ready even when start() was not awaited.
+    ready.catch(() => {});
+    const open = () => {
+      const params = new URLSearchParams({ query, start: cursor.ns.toString(), delay_for: delayFor.toString() });
+      socket = new WebSocket(`${endpoint}?${params}`, { headers });
+      socket.on('open', () => {
+        attempts = 0;
+        settle.resolve();
+      });
+      socket.on('message', receive);
+      socket.on('error', (err) => {
+        if (!stopped) {
+          onError(err);
+        }
+      });
+      socket.on('close', () => {
+        if (stopped) {
+          return;
+        }
+        const delay = backoff.delay(attempts);
+        attempts += 1;
+        timer = setTimeout(open, delay * 1000);
+      });
+    };
+    open();
+    return {
+      ready,
+      cancel() {
+        stopped = true;
+        clearTimeout(timer);
+        socket.terminate();
+        settle.reject(new Error('Source stopped before the tail was connected'));
+      }
+    };
+  };
+  return {
+    /**
+     * Starts tailing, resuming after the last entry of a previous run.
+     *
+     * @returns {Promise} Promise resolving once the tail is connected
+     */
+    start() {
+      if (state.tailing()) {
+        return state.session().ready;
+      }
+      if (cursor === null) {
+        cursor = { ns: BigInt(Date.now()) * 1000000n, seen: new Set() };
+      }
+      state = tailing(session());
+      return state.session().ready;
+    },
+    /**
+     * Stops tailing.
+     */
+    stop() {
+      if (!state.tailing()) {
+        return;
+      }
+      state.session().cancel();
+      state = idle();
+    }
+  };
+}
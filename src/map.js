@@ -0,0 +1,24 @@
+import stage from './stage.js';
+
+/**
+ * Collector decorator transforming each record before forwarding.
+ *
+ * Implements the collector contract expected by sources and
+ * timedBatch. When the mapper throws, the error and the original
+ * record go to the error handler and the record is dropped.
+ *
+ * @example
+ * const collector = map((r) => JSON.parse(r.payload), batch(sink, 100, c), (err, r) => log(err, r));
+ * const source = mqttSource('mqtt://localhost:1883', 'sensors/#', collector);
+ *
+ * @param {function} fn - Function(record) returning the transformed record
+ * @param {object} next - Collector with accept(), flush(), and stop()
+ * @param {function} [onError] - Function(err, record) receiving failures (default rethrows)
+ * @returns {object} Collector with accept(), flush(), and stop() methods
+ */
+export default function map(fn, next, onError) {
+  if (typeof fn !== 'function') {
+    throw new Error('Mapper must be a function');
+  }
+  return stage(fn, (result) => next.accept(result), next, onError);
+}
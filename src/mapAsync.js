@@ -0,0 +1,24 @@
+import asyncStage from './asyncStage.js';
+
+/**
+ * Collector decorator transforming each record with an async function.
+ *
+ * Records are transformed one at a time and forwarded in arrival
+ * order; flush waits for queued records first. When the mapper
+ * rejects, the error and the original record go to the error handler
+ * and the record is dropped.
+ *
+ * @example
+ * const collector = mapAsync(async (r) => enrich(r), batch(sink, 100, c));
+ *
+ * @param {function} fn - Async function(record) resolving to the transformed record
+ * @param {object} next - Collector with accept(), flush(), and stop()
+ * @param {function} [onError] - Function(err, record) receiving failures (default rethrows)
+ * @returns {object} Collector with accept(), flush(), and stop() methods
+ */
+export default function mapAsync(fn, next, onError) {
+  if (typeof fn !== 'function') {
+    throw new Error('Mapper must be a function');
+  }
+  return asyncStage(fn, (result) => next.accept(result), next, onError);
+}
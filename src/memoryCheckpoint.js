@@ -0,0 +1,35 @@
+/**
+ * In-memory checkpoint store for pollingSource.
+ *
+ * Keeps the last saved position until the process exits, so a source
+ * stopped and started again in the same process resumes where it
+ * left off. Useful in tests.
+ *
+ * @example
+ * const checkpoint = memoryCheckpoint();
+ * const source = pollingSource(fetch, 10, collector, clock(), { checkpoint });
+ *
+ * @returns {object} Checkpoint store with load() and save(until) methods
+ */
+export default function memoryCheckpoint() {
+  let position = null;
+  return {
+    /**
+     * Reads the saved position.
+     *
+     * @returns {Promise} Promise resolving to the position in milliseconds, or null when none was saved
+     */
+    async load() {
+      return position;
+    },
+    /**
+     * Saves the position.
+     *
+     * @param {number} until - Position in milliseconds
+     * @returns {Promise} Promise resolving when saved
+     */
+    async save(until) {
+      position = until;
+    }
+  };
+}
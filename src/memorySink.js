@@ -0,0 +1,36 @@
+/**
+ * In-memory sink keeping every written record.
+ *
+ * Useful as a dead-letter sink for inspection or in tests.
+ * Records are kept until the process exits.
+ *
+ * @example
+ * const deadLetter = memorySink();
+ * await deadLetter.write([{ value: 42 }]);
+ * deadLetter.records(); // [{ value: 42 }]
+ *
+ * @returns {object} Sink with write(records) and records() methods
+ */
+export default function memorySink() {
+  const stored = [];
+  return {
+    /**
+     * Stores records in memory.
+     *
+     * @param {Array} records - Array of records to store
+     * @returns {Promise} Promise resolving once records are stored
+     */
+    write(records) {
+      stored.push(...records);
+      return Promise.resolve();
+    },
+    /**
+     * Returns all stored records in write order.
+     *
+     * @returns {Array} Copy of stored records
+     */
+    records() {
+      return stored.slice();
+    }
+  };
+}
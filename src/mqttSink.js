@@ -0,0 +1,134 @@
+import mqtt from 'mqtt';
+
+/**
+ * Builds a function deriving the topic of a record.
+ *
+ * Placeholders like {device} or {meta.site} in a template are replaced
+ * with the record field at that dotted path.
+ *
+ * @param {string|function} template - Topic template or Function(record) returning the topic
+ * @returns {function} Function(record) returning the topic
+ */
+function topicOf(template) {
+  if (typeof template === 'function') {
+    return template;
+  }
+  return (record) => template.replace(/\{([^{}]+)\}/g, (_, path) => {
+    const value = path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), record);
+    if (value === undefined || value === null) {
+      throw new Error(`Record has no value for topic field: ${path}`);
+    }
+    return String(value);
+  });
+}
+
+/**
+ * MQTT sink publishing each record as a message.
+ *
+ * Connects lazily on the first write and keeps the connection open
+ * until close(). The topic comes from a template whose {field}
+ * placeholders are filled from the record, or from a function.
+ * A write resolves once every publish is acknowledged by the broker
+ * (for QoS 0, once written to the socket), and rejects when a topic
+ * cannot be derived, contains wildcards, or the publishes do not
+ * complete within the timeout, so it composes with batch and circuit.
+ * Messages of a timed-out write may still be delivered after a
+ * reconnect, so a retried batch can publish duplicates.
+ *
+ * @example
+ * const sink = mqttSink('mqtt://localhost:1883', 'processed/{device}/temp', { qos: 1, retain: true });
+ * const collector = timedBatch(batch(sink, 100, circuit(5, 60, clock())), 1.0);
+ *
+ * @param {string} url - MQTT broker URL (e.g., 'mqtt://localhost:1883')
+ * @param {string|function} topicTemplate - Topic template with {field} placeholders or Function(record) returning the topic
+ * @param {object} [options] - Optional publish settings
+ * @param {number} [options.qos] - QoS of each publish, 0, 1 or 2 (default 1)
+ * @param {boolean} [options.retain] - Retain flag of each publish (default false)
+ * @param {function} [options.serializer] - Function(record) returning a string or Buffer payload (default JSON.stringify)
+ * @param {string} [options.clientId] - Client ID of the publishing connection
+ * @param {number} [options.timeout] - Seconds a write may take before rejecting (default 30)
+ * @returns {object} Sink with write(records) and close() methods
+ */
+export default function mqttSink(url, topicTemplate, options = {}) {
+  if (typeof url !== 'string' || url.length === 0) {
+    throw new Error('URL must be a non-empty string');
+  }
+  if (typeof topicTemplate !== 'function' && (typeof topicTemplate !== 'string' || topicTemplate.length === 0)) {
+    throw new Error('Topic template must be a non-empty string or a function');
+  }
+  const qos = options.qos ?? 1;
+  const retain = options.retain ?? false;
+  const serializer = options.serializer ?? ((record) => JSON.stringify(record));
+  const timeout = options.timeout ?? 30;
+  if (qos !== 0 && qos !== 1 && qos !== 2) {
+    throw new Error(`QoS must be 0, 1 or 2, got: ${qos}`);
+  }
+  if (typeof retain !== 'boolean') {
+    throw new Error(`Retain must be a boolean, got: ${retain}`);
+  }
+  if (typeof serializer !== 'function') {
+    throw new Error('Serializer must be a function');
+  }
+  if (typeof timeout !== 'number' || timeout <= 0) {
+    throw new Error(`Timeout must be a positive number, got: ${timeout}`);
+  }
+  const derive = topicOf(topicTemplate);
+  let client = null;
+  let lastError = null;
+  const connection = () => {
+    if (client === null) {
+      client = mqtt.connect(url, { clientId: options.clientId });
+      client.on('error', (err) => {
+        lastError = err;
+      });
+    }
+    return client;
+  };
+  return {
+    /**
+     * Publishes records to their topics.
+     *
+     * @param {Array} records - Array of records to publish
+     * @returns {Promise} Promise resolving when every publish is acknowledged
+     */
+    async write(records) {
+      const messages = records.map((record) => {
+        const topic = derive(record);
+        if (typeof topic !== 'string' || topic.length === 0 || /[+#]/.test(topic)) {
+          throw new Error(`Topic must be a non-empty string without wildcards, got: ${topic}`);
+        }
+        return { topic, payload: serializer(record) };
+      });
+      const c = connection();
+      let timer = null;
+      const expiry = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          const cause = lastError ? `: ${lastError.message}` : '';
+          reject(new Error(`MQTT publish timed out after ${timeout}s${cause}`));
+        }, timeout * 1000);
+      });
+      try {
+        await Promise.race([
+          Promise.all(messages.map(({ topic, payload }) => c.publishAsync(topic, payload, { qos, retain }))),
+          expiry
+        ]);
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+    /**
+     * Closes the connection to the broker, discarding unacknowledged publishes when offline.
+     *
+     * @returns {Promise} Promise resolving when the connection is closed
+     */
+    async close() {
+      if (client === null) {
+        return;
+      }
+      const c = client;
+      client = null;
+      // A graceful end waits for the connection, which may never come back.
+      await c.endAsync(!c.connected);
+    }
+  };
+}
@@ -1,4 +1,9 @@
 import mqtt from 'mqtt';
+import decoders from './decoders.js';
+import deferredAcks from './deferredAcks.js';
+import deliver from './deliver.js';
+import reconnectBackoff from './reconnectBackoff.js';
+import topicMatch from './topicMatch.js';
 
 /**
  * Idle state for MQTT source.
@@ -9,6 +14,9 @@ function idle() {
   return {
     subscribed() {
       return false;
+    },
+    status() {
+      return 'offline';
     }
   };
 }
@@ -18,32 +26,183 @@ function idle() {
  *
  * @param {object} client - MQTT client
  * @param {function} handler - Message handler function
+ * @param {object} acks - Acknowledger with cancel()
+ * @param {object} link - Connection supervisor with status(), ready() and cancel()
  * @returns {object} State with subscribed() returning true
  */
-function subscribed(client, handler) {
+function subscribed(client, handler, acks, link) {
   return {
     subscribed() {
       return true;
     },
+    status() {
+      return link.status();
+    },
+    link() {
+      return link;
+    },
     client() {
       return client;
     },
     handler() {
       return handler;
+    },
+    acks() {
+      return acks;
+    }
+  };
+}
+
+/**
+ * Acknowledger sending PUBACKs as soon as messages are handled.
+ *
+ * @returns {object} Acknowledger with cancel()
+ */
+function immediate() {
+  return {
+    cancel() {
+      /* nothing to cancel */
+    }
+  };
+}
+
+/**
+ * Connection supervisor reconnecting with exponential backoff.
+ *
+ * Replaces the fixed reconnect period of mqtt.js: after a connection
+ * is lost or refused it waits base * multiplier^n seconds, capped, and
+ * resets the delay once connected. Subscribes on every connect so that
+ * each SUBACK, including those after a reconnect, reaches the listeners.
+ * The ready promise resolves with the first granted subscription and
+ * rejects when the broker refuses a topic or the source is stopped.
+ *
+ * @param {object} client - MQTT client created with reconnectPeriod 0
+ * @param {Array} list - Topic patterns to subscribe
+ * @param {number} qos - Requested QoS
+ * @param {object} backoff - Backoff from reconnectBackoff()
+ * @param {function} emit - Function(event, ...args) notifying listeners
+ * @returns {object} Supervisor with status(), ready() and cancel()
+ */
+function supervise(client, list, qos, backoff, emit) {
+  let status = 'connecting';
+  let attempts = 0;
+  let connected = false;
+  let stopped = false;
+  let timer = null;
+  let settle = null;
+  const ready = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+  });
+  // Callers that do not await start() must not see an unhandled rejection.
+  ready.catch(() => {});
+  client.on('connect', (connack) => {
+    status = 'connected';
+    attempts = 0;
+    connected = true;
+    emit('connect', { sessionPresent: Boolean(connack && connack.sessionPresent) });
+    client.subscribe(list, { qos }, (err, subs, packet) => {
+      if (err && !(packet && packet.granted)) {
+        emit('error', err);
+        return;
+      }
+      const granted = subs.map((sub, i) => ({ topic: sub.topic, qos: err ? packet.granted[i] : sub.qos }));
+      emit('subscribe', granted);
+      const refused = granted.filter((grant) => (grant.qos & 0x80) !== 0);
+      if (refused.length > 0) {
+        const error = new Error(`Subscription refused for topics: ${refused.map((grant) => grant.topic).join(', ')}`);
+        emit('error', error);
+        settle.reject(error);
+        return;
+      }
+      settle.resolve(granted);
+    });
+  });
+  client.on('close', () => {
+    if (stopped) {
+      return;
+    }
+    status = 'offline';
+    if (connected) {
+      connected = false;
+      emit('disconnect');
+    }
+    const delay = backoff.delay(attempts);
+    attempts += 1;
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      status = 'reconnecting';
+      client.reconnect();
+    }, delay * 1000);
+  });
+  client.on('error', (err) => {
+    emit('error', err);
+  });
+  return {
+    status() {
+      return status;
+    },
+    ready() {
+      return ready;
+    },
+    cancel() {
+      stopped = true;
+      status = 'offline';
+      clearTimeout(timer);
+      settle.reject(new Error('Source stopped before subscription was granted'));
     }
   };
 }
 
+/**
+ * Builds a function choosing the decoder for a topic.
+ *
+ * @param {function|object} decoder - Decoder or object mapping topic patterns to decoders
+ * @returns {function} Function(topic) returning the decoder for that topic
+ */
+function chooser(decoder) {
+  if (typeof decoder === 'function') {
+    return () => decoder;
+  }
+  const routes = Object.entries(decoder);
+  return (topic) => {
+    const route = routes.find(([pattern]) => topicMatch(pattern, topic));
+    return route ? route[1] : decoders.text;
+  };
+}
+
 /**
  * MQTT subscription source for streaming messages to a collector.
  *
- * Subscribes to MQTT topics and forwards raw messages to the collector.
- * Messages are passed as {topic, payload} objects without parsing.
+ * Subscribes to MQTT topics and forwards messages to the collector
+ * as {topic, payload} objects. Payloads are decoded as UTF-8 text
+ * unless a decoder is given, either for the whole source or per
+ * topic pattern; topics matching no pattern are decoded as text.
+ * Payloads that fail to decode go to the error handler and the
+ * dead-letter collector as {topic, payload, error} with the raw
+ * payload, instead of throwing inside the MQTT message handler.
+ * Errors of the collector go to the error handler as well.
  * Creates MQTT client internally. Supports comma-separated topic patterns.
  *
+ * With manualAck and a clientId, QoS 1 PUBACKs are held until a flush
+ * of the collector covering those messages resolves, giving
+ * at-least-once delivery from broker to sink. The source then drives
+ * flushes every ackInterval seconds. The broker stops sending once its
+ * in-flight limit of unacknowledged messages is reached, so keep the
+ * interval short relative to that limit.
+ *
+ * The connection state is one of connecting, connected, reconnecting
+ * or offline (stopped, or waiting for the next reconnect attempt).
+ * Listeners registered with on() are called synchronously on connect,
+ * disconnect, client and subscription errors, and every SUBACK with
+ * the QoS granted per topic. start() resolves once the subscription
+ * is granted, which services can use to report readiness.
+ *
  * @example
- * const source = mqttSource('mqtt://localhost:1883', 'sensors/#,devices/#', collector);
- * source.start();
+ * const source = mqttSource('mqtt://localhost:1883', 'sensors/#,devices/#', collector, {
+ *   reconnect: { base: 1, cap: 60 }
+ * });
+ * source.on('disconnect', () => console.warn('MQTT connection lost'));
+ * await source.start();
  * // ... later
  * source.stop();
  *
@@ -53,7 +212,16 @@ function subscribed(client, handler) {
  * @param {object} [options] - Optional MQTT connection options
  * @param {string} [options.clientId] - Client ID for persistent sessions
  * @param {number} [options.sessionExpiryInterval] - Session expiry in seconds (default 3600)
- * @returns {object} Source with start() and stop() methods
+ * @param {function|object} [options.decoder] - Function(payload, topic) or object mapping topic patterns to such functions
+ * @param {function} [options.onError] - Function(err, {topic, payload}) receiving decode and collector failures
+ * @param {object} [options.deadLetter] - Collector with accept() receiving undecodable messages
+ * @param {boolean} [options.manualAck] - Hold PUBACKs until the collector has flushed (requires clientId)
+ * @param {number} [options.ackInterval] - Seconds between flushes releasing PUBACKs (default 1)
+ * @param {object} [options.reconnect] - Reconnect backoff settings
+ * @param {number} [options.reconnect.base] - Seconds before the first reconnect attempt (default 1)
+ * @param {number} [options.reconnect.cap] - Upper bound of a reconnect delay in seconds (default 30)
+ * @param {number} [options.reconnect.multiplier] - Factor applied to the delay after each failed attempt (default 2)
+ * @returns {object} Source with start(), stop(), status(), and on() methods
  */
 export default function mqttSource(url, topics, collector, options = {}) {
   if (typeof url !== 'string' || url.length === 0) {
@@ -65,32 +233,85 @@ export default function mqttSource(url, topics, collector, options = {}) {
   if (!collector || typeof collector.accept !== 'function') {
     throw new Error('Collector must have an accept() method');
   }
+  const decoder = options.decoder ?? decoders.text;
+  if (typeof decoder !== 'function'
+    && (typeof decoder !== 'object' || !Object.values(decoder).every((d) => typeof d === 'function'))) {
+    throw new Error('Decoder must be a function or an object mapping topic patterns to functions');
+  }
+  const onError = options.onError ?? (() => {});
+  if (typeof onError !== 'function') {
+    throw new Error('Error handler must be a function');
+  }
+  if (options.deadLetter !== undefined && (!options.deadLetter || typeof options.deadLetter.accept !== 'function')) {
+    throw new Error('Dead letter must have an accept() method');
+  }
+  const ackInterval = options.ackInterval ?? 1;
+  if (options.manualAck) {
+    if (!options.clientId) {
+      throw new Error('Manual acknowledgement requires a clientId');
+    }
+    if (typeof collector.flush !== 'function') {
+      throw new Error('Collector must have a flush() method for manual acknowledgement');
+    }
+    if (typeof ackInterval !== 'number' || ackInterval <= 0) {
+      throw new Error(`Ack interval must be a positive number, got: ${ackInterval}`);
+    }
+  }
+  const backoff = reconnectBackoff(options.reconnect ?? {});
+  const choose = chooser(decoder);
   const list = topics.split(',').map((t) => t.trim()).filter((t) => t.length > 0);
+  const listeners = { connect: [], disconnect: [], error: [], subscribe: [] };
+  const emit = (event, ...args) => {
+    for (const listener of listeners[event].slice()) {
+      listener(...args);
+    }
+  };
   let state = idle();
   return {
     /**
      * Starts subscribing to the MQTT topics.
+     *
+     * @returns {Promise} Promise resolving with the granted [{topic, qos}] once subscribed
      */
     start() {
       if (state.subscribed()) {
-        return;
+        return state.link().ready();
       }
       const client = mqtt.connect(url, {
         clientId: options.clientId,
         clean: options.clientId ? false : true,
         protocolVersion: 5,
+        reconnectPeriod: 0,
+        resubscribe: false,
         properties: options.clientId ? {
           sessionExpiryInterval: options.sessionExpiryInterval || 3600
         } : undefined
       });
       const handler = (t, message) => {
-        collector.accept({ topic: t, payload: message.toString() });
+        let payload;
+        try {
+          payload = choose(t)(message, t);
+        } catch (err) {
+          onError(err, { topic: t, payload: message });
+          if (options.deadLetter) {
+            options.deadLetter.accept({ topic: t, payload: message, error: err.message });
+          }
+          return;
+        }
+        deliver(collector, { topic: t, payload }, onError);
       };
       client.on('message', handler);
-      client.on('connect', () => {
-        client.subscribe(list, { qos: options.clientId ? 1 : 0 });
-      });
-      state = subscribed(client, handler);
+      let acks;
+      try {
+        acks = options.manualAck ? deferredAcks(client, collector, ackInterval) : immediate();
+      } catch (err) {
+        client.off('message', handler);
+        client.end(true);
+        throw err;
+      }
+      const link = supervise(client, list, options.clientId ? 1 : 0, backoff, emit);
+      state = subscribed(client, handler, acks, link);
+      return link.ready();
     },
     /**
      * Stops subscribing to the MQTT topics.
@@ -100,10 +321,39 @@ export default function mqttSource(url, topics, collector, options = {}) {
         return;
       }
       const client = state.client();
+      state.link().cancel();
+      state.acks().cancel();
       client.unsubscribe(list);
       client.off('message', state.handler());
       client.end();
       state = idle();
+    },
+    /**
+     * Reports the connection state.
+     *
+     * @returns {string} One of connecting, connected, reconnecting, or offline
+     */
+    status() {
+      return state.status();
+    },
+    /**
+     * Registers a listener for connection events.
+     *
+     * @param {string} event - One of connect, disconnect, error, or subscribe
+     * @param {function} listener - Function receiving {sessionPresent}, nothing, the error, or the granted [{topic, qos}]
+     * @returns {function} Function removing the listener
+     */
+    on(event, listener) {
+      if (!Object.hasOwn(listeners, event)) {
+        throw new Error(`Event must be connect, disconnect, error or subscribe, got: ${event}`);
+      }
+      if (typeof listener !== 'function') {
+        throw new Error('Listener must be a function');
+      }
+      listeners[event].push(listener);
+      return () => {
+        listeners[event] = listeners[event].filter((l) => l !== listener);
+      };
     }
   };
 }
@@ -0,0 +1,58 @@
+/**
+ * Built-in log line parsers for lokiSource.
+ *
+ * Each parser receives the log line and returns an object of
+ * fields, throwing when the line cannot be parsed.
+ *
+ * @example
+ * const source = lokiSource('http://localhost:3100', '{app="traefik"}', 10, collector, clock, {
+ *   parser: parsers.json
+ * });
+ */
+export default {
+  /**
+   * Parses the line as a JSON object.
+   *
+   * @param {string} line - Log line
+   * @returns {object} Parsed fields
+   */
+  json(line) {
+    const value = JSON.parse(line);
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error('Line must be a JSON object');
+    }
+    return value;
+  },
+  /**
+   * Parses the line as logfmt key=value pairs.
+   *
+   * Values may be double-quoted with backslash escapes. A key
+   * without a value is set to true.
+   *
+   * @param {string} line - Log line
+   * @returns {object} Parsed fields with string values
+   */
+  logfmt(line) {
+    const fields = {};
+    const pattern = /\s*([^\s="]+)(?:=(?:"((?:[^"\\]|\\.)*)"|([^\s"]*)))?/y;
+    let index = 0;
+    while (index < line.length) {
+      if (/^\s*$/.test(line.slice(index))) {
+        break;
+      }
+      pattern.lastIndex = index;
+      const match = pattern.exec(line);
+      if (match === null) {
+        throw new Error(`Invalid logfmt at position ${index}`);
+      }
+      const [, key, quoted, bare] = match;
+      if (quoted !== undefined) {
+        fields[key] = quoted.replace(/\\(.)/g, (_, c) => (c === 'n' ? '\n' : c === 't' ? '\t' : c));
+      } else {
+        fields[key] = bare ?? true;
+      }
+      index = pattern.lastIndex;
+    }
+    return fields;
+  }
+};
@@ -0,0 +1,150 @@
+import batch from './batch.js';
+import circuit from './circuit.js';
+import clock from './clock.js';
+import timedBatch from './timedBatch.js';
+
+/**
+ * Fluent builder wiring a source, collector stages and a sink.
+ *
+ * The source is given as a factory receiving the head collector, and
+ * each stage as a factory wrapping the next collector. The sink is
+ * wrapped in batch, and in timedBatch when an interval is given.
+ * The returned pipeline owns every component it created: stop()
+ * stops the source first, flushes buffered records, then stops the
+ * collectors, so nothing accepted before stop is silently dropped:
+ * records the final flush could not deliver are counted in status()
+ * and reject stop() with an UNDELIVERED error.
+ *
+ * @example
+ * const p = pipeline()
+ *   .from((collector) => mqttSource('mqtt://localhost:1883', 'sensors/#', collector))
+ *   .through((next) => map((r) => JSON.parse(r.payload), next))
+ *   .to(clickhouseSink('http://localhost:8123', 'metrics'), { batchSize: 1000, interval: 5 });
+ * p.start();
+ * // ... later
+ * await p.stop();
+ *
+ * @returns {object} Builder with from(), through(), and to() methods
+ */
+export default function pipeline() {
+  let origin = null;
+  const stages = [];
+  const builder = {
+    /**
+     * Sets the source of the pipeline.
+     *
+     * @param {function} factory - Function(collector) returning a source with start() and stop()
+     * @returns {object} Builder for chaining
+     */
+    from(factory) {
+      if (typeof factory !== 'function') {
+        throw new Error('Source factory must be a function');
+      }
+      origin = factory;
+      return builder;
+    },
+    /**
+     * Appends collector stages in the order records pass through them.
+     *
+     * @param {...function} factories - Functions(next) returning a collector
+     * @returns {object} Builder for chaining
+     */
+    through(...factories) {
+      for (const factory of factories) {
+        if (typeof factory !== 'function') {
+          throw new Error('Stage factory must be a function');
+        }
+      }
+      stages.push(...factories);
+      return builder;
+    },
+    /**
+     * Sets the sink and builds the pipeline.
+     *
+     * Options other than those below are passed to batch.
+     *
+     * @param {object} sink - Sink with write(records) method
+     * @param {object} [options] - Optional batching settings
+     * @param {number} [options.batchSize] - Records per write (default 1000)
+     * @param {number} [options.interval] - Seconds before a time-based flush (default none)
+     * @param {object} [options.breaker] - Circuit breaker (default circuit(5, 60, clock()))
+     * @returns {object} Pipeline with start(), stop(), drain(), and status() methods
+     */
+    to(sink, options = {}) {
+      if (origin === null) {
+        throw new Error('Source must be set with from() before to()');
+      }
+      const { batchSize = 1000, interval, breaker = circuit(5, 60, clock()), ...rest } = options;
+      const collected = batch(sink, batchSize, breaker, rest);
+      const tail = interval === undefined ? collected : timedBatch(collected, interval);
+      const head = stages.reduceRight((next, stage) => stage(next), tail);
+      const source = origin(head);
+      if (!source || typeof source.start !== 'function' || typeof source.stop !== 'function') {
+        throw new Error('Source must have start() and stop() methods');
+      }
+      let phase = 'idle';
+      let undelivered = 0;
+      return {
+        /**
+         * Starts the source.
+         *
+         * @returns {Promise} Promise resolving with the result of the source start
+         */
+        async start() {
+          if (phase === 'running') {
+            return undefined;
+          }
+          phase = 'running';
+          return source.start();
+        },
+        /**
+         * Flushes every buffered record through to the sink.
+         *
+         * @returns {Promise} Promise resolving when the flush completes
+         */
+        async drain() {
+          await head.flush();
+        },
+        /**
+         * Stops the source, flushes buffered records, then stops the collectors.
+         *
+         * @returns {Promise} Promise resolving when stopped, rejecting when the final flush fails or leaves records undelivered
+         */
+        async stop() {
+          if (phase !== 'running') {
+            return;
+          }
+          phase = 'stopped';
+          await source.stop();
+          let delivered = false;
+          try {
+            delivered = await head.flush() !== false;
+          } finally {
+            undelivered = delivered ? 0 : collected.buffered();
+            head.stop();
+          }
+          if (!delivered) {
+            const err = new Error(`Pipeline stopped with ${undelivered} undelivered records`);
+            err.code = 'UNDELIVERED';
+            err.undelivered = undelivered;
+            throw err;
+          }
+        },
+        /**
+         * Reports the pipeline state.
+         *
+         * @returns {object} Status with phase, breaker state when available, dropped counters, and records left undelivered by stop
+         */
+        status() {
+          return {
+            phase,
+            breaker: typeof breaker.state === 'function' ? breaker.state() : undefined,
+            dropped: collected.dropped(),
+            undelivered
+          };
+        }
+      };
+    }
+  };
+  return builder;
+}
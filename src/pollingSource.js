@@ -1,3 +1,5 @@
+import deliver from './deliver.js';
+
 /**
  * Idle state for polling source.
  *
@@ -14,42 +16,161 @@ function idle() {
 /**
  * Polling state for polling source.
  *
- * @param {object} handle - Timer handle from setInterval
+ * @param {object} session - Session from session()
+ * @param {Promise} ready - Promise resolving once polling is scheduled
  * @returns {object} State with polling() returning true
  */
-function polling(handle) {
+function polling(session, ready) {
   return {
     polling() {
       return true;
     },
+    ready() {
+      return ready;
+    },
     cancel() {
-      clearInterval(handle);
+      session.cancel();
     }
   };
 }
 
+/**
+ * Running session of a polling source.
+ *
+ * Tracks the pending delays and the abort controllers of running
+ * fetches, so cancel() can end all of them at once. The signal aborts
+ * on cancel, so clock sleeps given it clear their timers.
+ *
+ * @returns {object} Session with cancelled flag, signal, controllers set, delay(), until() and cancel()
+ */
+function session() {
+  const sleeps = new Set();
+  const stopped = new AbortController();
+  return {
+    cancelled: false,
+    signal: stopped.signal,
+    controllers: new Set(),
+    /**
+     * Waits, resolving early when the session is cancelled.
+     *
+     * @param {number} seconds - Seconds to wait
+     * @returns {Promise} Promise resolving after the delay or on cancel
+     */
+    delay(seconds) {
+      return new Promise((resolve) => {
+        const sleep = { resolve, timer: null };
+        sleep.timer = setTimeout(() => {
+          sleeps.delete(sleep);
+          resolve();
+        }, seconds * 1000);
+        sleeps.add(sleep);
+      });
+    },
+    /**
+     * Waits for a promise, resolving early when the session is cancelled.
+     *
+     * @param {Promise} pending - Promise to wait for, such as a clock sleep
+     * @returns {Promise} Promise resolving when pending settles or on cancel
+     */
+    until(pending) {
+      return new Promise((resolve) => {
+        const sleep = { resolve, timer: null };
+        pending.then(() => {
+          sleeps.delete(sleep);
+          resolve();
+        });
+        sleeps.add(sleep);
+      });
+    },
+    /**
+     * Ends pending delays and aborts running fetches.
+     */
+    cancel() {
+      this.cancelled = true;
+      for (const sleep of sleeps) {
+        clearTimeout(sleep.timer);
+        sleep.resolve();
+      }
+      sleeps.clear();
+      stopped.abort(new Error('Source stopped'));
+      for (const controller of this.controllers) {
+        controller.abort(new Error('Source stopped'));
+      }
+    }
+  };
+}
+
+/**
+ * Waits for a fetch, giving up when its signal aborts.
+ *
+ * Fetch functions that ignore the signal still end the poll on abort;
+ * their late result is discarded.
+ *
+ * @param {Promise} pending - Promise returned by fetch
+ * @param {AbortSignal} signal - Signal of the poll
+ * @returns {Promise} Promise settling like pending, or rejecting with the abort reason
+ */
+function abortable(pending, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    Promise.resolve(pending).then(resolve, reject);
+  });
+}
+
 /**
  * Generic polling source with time window tracking.
  *
  * Polls at a specified interval and forwards records to
  * the collector. Tracks time windows to avoid duplicates.
+ * Polls never overlap; a failed fetch goes to the error handler and
+ * its window is read again. A record the collector refuses goes
+ * there with the record, and the window moves on. Fetch may return
+ * {records, until} to stop early, and the next window starts there.
+ * With a checkpoint, a position is saved only after a flush reports
+ * delivery, so a window may be read again after a restart but never
+ * skipped. See the README for lag, overlap, adaptive polling and
+ * backfill.
  *
  * @example
- * const fetch = async (since, until) => {
- *   return await api.query(since, until);
+ * const fetch = async (since, until, signal) => {
+ *   return await api.query(since, until, { signal });
  * };
- * const source = pollingSource(fetch, 10, collector, clock);
- * source.start();
+ * const source = pollingSource(fetch, 10, collector, clock, { checkpoint: fileCheckpoint('poll.json') });
+ * await source.start();
  * // ... later
  * source.stop();
  *
- * @param {function} fetch - Async function(since, until) returning array
+ * @param {function} fetch - Async function(since, until, signal) returning an array or {records, until}
  * @param {number} interval - Polling interval in seconds
- * @param {object} collector - Collector with accept() method
- * @param {object} clk - Clock with millis() method
+ * @param {object} collector - Collector with accept() method, and flush() when checkpointing
+ * @param {object} clk - Clock with millis() method, and sleep(ms, signal) for an adaptive schedule
+ * @param {object} [options] - Optional polling settings
+ * @param {object} [options.checkpoint] - Store with load() and save(until) methods
+ * @param {function} [options.onError] - Function(err, record) receiving failed polls and refused records (default drops)
+ * @param {number} [options.timeout] - Seconds before a fetch is aborted (default 30)
+ * @param {number} [options.lag] - Seconds live windows end before the current time (default 0)
+ * @param {number} [options.overlap] - Seconds of the previous window each live poll reads again (default 0)
+ * @param {function} [options.identity] - Function(record) returning a key; records with a recently forwarded key are dropped
+ * @param {number} [options.dedupeSize] - Identities remembered for dropping duplicates (default 10000)
+ * @param {object} [options.adaptive] - Adaptive schedule replacing the fixed interval after the first poll
+ * @param {number} options.adaptive.min - Least seconds between polls, waited after a poll with records
+ * @param {number} options.adaptive.max - Most seconds between polls
+ * @param {number} [options.adaptive.step] - Seconds added to the delay by each empty poll (default min)
+ * @param {number} [options.adaptive.multiplier] - Factor applied to the delay after each consecutive failure (default 2)
+ * @param {object} [options.backfill] - Past range to read before polling
+ * @param {number} options.backfill.from - Start of the range in milliseconds, inclusive
+ * @param {number} options.backfill.to - End of the range in milliseconds, exclusive, not after the current time
+ * @param {number} options.backfill.window - Seconds of the range read per fetch
+ * @param {number} [options.backfill.concurrency] - Windows read at the same time (default 1)
+ * @param {boolean} [options.backfill.live] - Poll live from the end of the range once it is read (default false)
+ * @param {function} [options.backfill.onProgress] - Function({until, windows, total}) called as the range completes
  * @returns {object} Source with start() and stop() methods
  */
-export default function pollingSource(fetch, interval, collector, clk) {
+export default function pollingSource(fetch, interval, collector, clk, options = {}) {
   if (typeof fetch !== 'function') {
     throw new Error('Fetch must be a function');
   }
@@ -62,27 +183,278 @@ export default function pollingSource(fetch, interval, collector, clk) {
   if (!clk || typeof clk.millis !== 'function') {
     throw new Error('Clock must have a millis() method');
   }
+  const checkpoint = options.checkpoint;
+  if (checkpoint !== undefined) {
+    if (!checkpoint || typeof checkpoint.load !== 'function' || typeof checkpoint.save !== 'function') {
+      throw new Error('Checkpoint must have load() and save(until) methods');
+    }
+    if (typeof collector.flush !== 'function') {
+      throw new Error('Collector must have a flush() method for checkpoints');
+    }
+  }
+  const onError = options.onError ?? (() => {});
+  if (typeof onError !== 'function') {
+    throw new Error('Error handler must be a function');
+  }
+  const timeout = options.timeout ?? 30;
+  if (typeof timeout !== 'number' || timeout <= 0) {
+    throw new Error(`Timeout must be a positive number, got: ${timeout}`);
+  }
+  const lag = options.lag ?? 0;
+  if (typeof lag !== 'number' || !(lag >= 0)) {
+    throw new Error(`Lag must be a non-negative number, got: ${lag}`);
+  }
+  const overlap = options.overlap ?? 0;
+  if (typeof overlap !== 'number' || !(overlap >= 0)) {
+    throw new Error(`Overlap must be a non-negative number, got: ${overlap}`);
+  }
+  const identity = options.identity;
+  if (identity !== undefined && typeof identity !== 'function') {
+    throw new Error('Identity must be a function');
+  }
+  const dedupeSize = options.dedupeSize ?? 10000;
+  if (!Number.isInteger(dedupeSize) || dedupeSize < 1) {
+    throw new Error(`Dedupe size must be a positive integer, got: ${dedupeSize}`);
+  }
+  const adaptive = options.adaptive;
+  if (adaptive !== undefined) {
+    if (!adaptive || typeof adaptive !== 'object') {
+      throw new Error('Adaptive must be an object');
+    }
+    if (typeof adaptive.min !== 'number' || adaptive.min <= 0) {
+      throw new Error(`Adaptive min must be a positive number, got: ${adaptive.min}`);
+    }
+    if (typeof adaptive.max !== 'number' || adaptive.max < adaptive.min) {
+      throw new Error(`Adaptive max must be a number not less than min, got: ${adaptive.max}`);
+    }
+    if (adaptive.step !== undefined && (typeof adaptive.step !== 'number' || adaptive.step <= 0)) {
+      throw new Error(`Adaptive step must be a positive number, got: ${adaptive.step}`);
+    }
+    if (adaptive.multiplier !== undefined && (typeof adaptive.multiplier !== 'number' || adaptive.multiplier < 1)) {
+      throw new Error(`Adaptive multiplier must be a number not less than 1, got: ${adaptive.multiplier}`);
+    }
+    if (typeof clk.sleep !== 'function') {
+      throw new Error('Clock must have a sleep() method for adaptive polling');
+    }
+  }
+  const backfill = options.backfill;
+  if (backfill !== undefined) {
+    if (!backfill || typeof backfill !== 'object') {
+      throw new Error('Backfill must be an object');
+    }
+    if (!Number.isFinite(backfill.from) || !Number.isFinite(backfill.to) || backfill.from >= backfill.to) {
+      throw new Error(`Backfill range must be numbers with from before to, got: [${backfill.from}, ${backfill.to})`);
+    }
+    if (backfill.to > clk.millis()) {
+      throw new Error(`Backfill range must not end after the current time, got: ${backfill.to}`);
+    }
+    if (typeof backfill.window !== 'number' || backfill.window <= 0) {
+      throw new Error(`Backfill window must be a positive number, got: ${backfill.window}`);
+    }
+    const concurrency = backfill.concurrency ?? 1;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`Backfill concurrency must be a positive integer, got: ${concurrency}`);
+    }
+    if (backfill.live !== undefined && typeof backfill.live !== 'boolean') {
+      throw new Error(`Backfill live must be a boolean, got: ${backfill.live}`);
+    }
+    if (backfill.onProgress !== undefined && typeof backfill.onProgress !== 'function') {
+      throw new Error('Progress handler must be a function');
+    }
+  }
   let state = idle();
   let since = clk.millis();
-  const poll = async () => {
-    const until = clk.millis();
-    const result = await fetch(since, until);
-    since = until;
-    for (const entry of result) {
-      collector.accept(entry);
+  let saved = -Infinity;
+  let resumed = false;
+  // Insertion ordered, so the first identity is the oldest.
+  const recent = new Set();
+  const read = async (current, from, until, signal) => {
+    const result = await abortable(fetch(from, until, signal), signal);
+    const records = Array.isArray(result) ? result : result.records;
+    for (const entry of records) {
+      const key = identity ? identity(entry) : undefined;
+      if (identity && recent.has(key)) {
+        continue;
+      }
+      // A refused record is not remembered, so a later overlap can forward it.
+      if (await deliver(collector, entry, (err) => report(current, err, entry)) && identity) {
+        recent.add(key);
+        if (recent.size > dedupeSize) {
+          recent.delete(recent.values().next().value);
+        }
+      }
     }
+    return { reached: Array.isArray(result) ? until : Math.min(result.until, until), count: records.length };
+  };
+  const commit = async (position) => {
+    if (checkpoint && position > saved) {
+      const delivered = await collector.flush();
+      if (delivered !== false && position > saved) {
+        saved = position;
+        await checkpoint.save(position);
+      }
+    }
+  };
+  const report = (current, err, record) => {
+    if (current.cancelled) {
+      return;
+    }
+    try {
+      onError(err, record);
+    } catch {
+      /* a throwing error handler must not end polling */
+    }
+  };
+  const attempt = async (current, run) => {
+    const controller = new AbortController();
+    current.controllers.add(controller);
+    const timer = setTimeout(() => {
+      controller.abort(new Error(`Fetch timed out after ${timeout}s`));
+    }, timeout * 1000);
+    try {
+      await run(controller.signal);
+      return true;
+    } catch (err) {
+      report(current, err);
+      return false;
+    } finally {
+      clearTimeout(timer);
+      current.controllers.delete(controller);
+    }
+  };
+  const pause = (current, seconds) => {
+    if (!adaptive) {
+      return current.delay(seconds);
+    }
+    if (seconds === 0) {
+      return new Promise((resolve) => setImmediate(resolve));
+    }
+    return current.until(clk.sleep(seconds * 1000, current.signal));
+  };
+  const live = async (current) => {
+    const bound = (seconds) => Math.min(adaptive.max, Math.max(adaptive.min, seconds));
+    let delay = interval;
+    let wait = delay;
+    let failures = 0;
+    while (!current.cancelled) {
+      await pause(current, wait);
+      if (current.cancelled) {
+        return;
+      }
+      const until = clk.millis() - lag * 1000;
+      let count = 0;
+      const succeeded = until < since || await attempt(current, async (signal) => {
+        const result = await read(current, resumed ? since : since - overlap * 1000, until, signal);
+        count = result.count;
+        resumed = result.reached < until;
+        since = result.reached;
+        await commit(since);
+      });
+      if (!adaptive) {
+        continue;
+      }
+      if (!succeeded) {
+        failures += 1;
+        delay = bound(adaptive.min * (adaptive.multiplier ?? 2) ** failures);
+      } else {
+        failures = 0;
+        delay = count > 0 ? adaptive.min : bound(delay + (adaptive.step ?? adaptive.min));
+      }
+      wait = succeeded && resumed ? 0 : delay;
+    }
+  };
+  const fill = async (current, start) => {
+    const step = backfill.window * 1000;
+    const windows = [];
+    for (let from = start; from < backfill.to; from += step) {
+      windows.push({ from, until: Math.min(from + step, backfill.to), done: false });
+    }
+    let next = 0;
+    let low = 0;
+    const worker = async () => {
+      while (!current.cancelled && next < windows.length) {
+        const span = windows[next];
+        next += 1;
+        let position = span.from;
+        while (!current.cancelled && !span.done) {
+          span.done = await attempt(current, async (signal) => {
+            while (position < span.until) {
+              position = (await read(current, position, span.until, signal)).reached;
+            }
+            if (typeof collector.flush === 'function' && await collector.flush() === false) {
+              // The records are still buffered, so only the flush is tried again.
+              throw new Error(`Collector did not deliver backfill window [${span.from}, ${span.until})`);
+            }
+          });
+          if (!span.done) {
+            await current.delay(interval);
+          }
+        }
+        const before = low;
+        while (low < windows.length && windows[low].done) {
+          low += 1;
+        }
+        if (low > before) {
+          const until = windows[low - 1].until;
+          try {
+            await commit(until);
+            if (backfill.onProgress) {
+              backfill.onProgress({ until, windows: low, total: windows.length });
+            }
+          } catch (err) {
+            report(current, err);
+          }
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(backfill.concurrency ?? 1, windows.length) }, worker));
   };
   return {
     /**
-     * Starts polling.
+     * Starts polling, or the backfill when one is configured, resuming from the checkpoint.
+     *
+     * @returns {Promise} Promise resolving once polling is scheduled, rejecting when the checkpoint cannot be loaded
      */
     start() {
       if (state.polling()) {
-        return;
+        return state.ready();
       }
-      since = clk.millis();
-      const handle = setInterval(poll, interval * 1000);
-      state = polling(handle);
+      const current = session();
+      const ready = (async () => {
+        const position = checkpoint ? await checkpoint.load() : null;
+        if (current.cancelled) {
+          return;
+        }
+        saved = position ?? -Infinity;
+        if (!backfill) {
+          since = position ?? clk.millis() - lag * 1000;
+          resumed = false;
+          live(current).catch((err) => report(current, err));
+          return;
+        }
+        const start = Math.max(backfill.from, position ?? -Infinity);
+        (async () => {
+          if (start < backfill.to) {
+            await fill(current, start);
+          }
+          if (current.cancelled) {
+            return;
+          }
+          if (backfill.live) {
+            since = Math.max(backfill.to, start);
+            await live(current);
+          } else {
+            state = idle();
+          }
+        })().catch((err) => report(current, err));
+      })();
+      ready.catch(() => {
+        if (!current.cancelled) {
+          state = idle();
+        }
+      });
+      state = polling(current, ready);
+      return ready;
     },
     /**
      * Stops polling.
@@ -0,0 +1,200 @@
+import circuitStates from './circuitStates.js';
+
+const { closed, open, halfOpen } = circuitStates;
+
+/**
+ * Count-based window keeping the most recent calls.
+ *
+ * @param {number} size - Number of calls kept
+ * @returns {object} Window with record(), calls() and clear()
+ */
+function countWindow(size) {
+  let entries = [];
+  return {
+    record(entry) {
+      entries.push(entry);
+      if (entries.length > size) {
+        entries.shift();
+      }
+    },
+    calls() {
+      return entries;
+    },
+    clear() {
+      entries = [];
+    }
+  };
+}
+
+/**
+ * Time-based window keeping calls from the last period.
+ *
+ * @param {number} seconds - Length of the window in seconds
+ * @param {object} clk - Clock for time tracking
+ * @returns {object} Window with record(), calls() and clear()
+ */
+function timeWindow(seconds, clk) {
+  let entries = [];
+  const evict = () => {
+    const oldest = clk.millis() - seconds * 1000;
+    entries = entries.filter((entry) => entry.at > oldest);
+  };
+  return {
+    record(entry) {
+      entries.push(entry);
+      evict();
+    },
+    calls() {
+      evict();
+      return entries;
+    },
+    clear() {
+      entries = [];
+    }
+  };
+}
+
+/**
+ * Circuit breaker that trips on failure or slow-call ratio.
+ *
+ * Keeps the outcome of recent calls in a sliding window, either the
+ * last N calls or the calls of the last N seconds. Once the window
+ * holds at least minimumCalls, the circuit opens when the share of
+ * failed calls reaches the rate, or the share of calls slower than
+ * slowCall reaches slowRate. After the timeout it becomes half-open
+ * like circuit: one success closes it with a fresh window, one
+ * failure reopens it. Call duration is passed to succeed()/fail() or
+ * measured from the last allowing() call that returned true.
+ *
+ * @example
+ * const clk = clock();
+ * const c = rateCircuit(0.5, 60, clk, { window: 50, minimumCalls: 20 });
+ * const b = batch(sink, 1000, c);
+ *
+ * @param {number} rate - Failure ratio in (0, 1] that opens the circuit
+ * @param {number} timeout - Seconds to wait before attempting recovery
+ * @param {object} clk - Clock with millis() method for time tracking
+ * @param {object} [options] - Optional circuit settings
+ * @param {number} [options.window] - Window length in calls or seconds (default 100)
+ * @param {string} [options.windowType] - Either count (default) or time
+ * @param {number} [options.minimumCalls] - Calls needed before ratios are evaluated (default 10)
+ * @param {number} [options.slowCall] - Seconds after which a call counts as slow (default never)
+ * @param {number} [options.slowRate] - Slow-call ratio in (0, 1] that opens the circuit (default 1)
+ * @param {number} [options.trials] - Trial operations allowed while half-open (default 1)
+ * @returns {object} Circuit breaker with allowing(), succeed(), fail(), and state() methods
+ */
+export default function rateCircuit(rate, timeout, clk, options = {}) {
+  if (typeof rate !== 'number' || rate <= 0 || rate > 1) {
+    throw new Error(`Rate must be a number in (0, 1], got: ${rate}`);
+  }
+  if (typeof timeout !== 'number' || timeout < 0) {
+    throw new Error(`Timeout must be a non-negative number, got: ${timeout}`);
+  }
+  if (!clk || typeof clk.millis !== 'function') {
+    throw new Error('Clock must have a millis() method');
+  }
+  const length = options.window ?? 100;
+  const windowType = options.windowType ?? 'count';
+  const minimumCalls = options.minimumCalls ?? 10;
+  const slowCall = options.slowCall ?? Infinity;
+  const slowRate = options.slowRate ?? 1;
+  const trials = options.trials ?? 1;
+  if (typeof length !== 'number' || length <= 0) {
+    throw new Error(`Window must be a positive number, got: ${length}`);
+  }
+  if (windowType !== 'count' && windowType !== 'time') {
+    throw new Error(`Window type must be count or time, got: ${windowType}`);
+  }
+  if (!Number.isInteger(minimumCalls) || minimumCalls < 1) {
+    throw new Error(`Minimum calls must be a positive integer, got: ${minimumCalls}`);
+  }
+  if (windowType === 'count' && minimumCalls > length) {
+    throw new Error(`Minimum calls must not exceed the window, got: ${minimumCalls}`);
+  }
+  if (typeof slowCall !== 'number' || slowCall <= 0) {
+    throw new Error(`Slow call must be a positive number, got: ${slowCall}`);
+  }
+  if (typeof slowRate !== 'number' || slowRate <= 0 || slowRate > 1) {
+    throw new Error(`Slow rate must be a number in (0, 1], got: ${slowRate}`);
+  }
+  if (!Number.isInteger(trials) || trials < 1) {
+    throw new Error(`Trials must be a positive integer, got: ${trials}`);
+  }
+  const window = windowType === 'count' ? countWindow(length) : timeWindow(length, clk);
+  let state = closed();
+  let started = clk.millis();
+  const trip = () => {
+    window.clear();
+    state = open(clk.millis(), clk, timeout);
+  };
+  const refresh = () => {
+    if (state.expired()) {
+      state = halfOpen(trials);
+    }
+  };
+  const record = (failed, duration) => {
+    if (state.name() !== 'closed') {
+      return;
+    }
+    const elapsed = duration ?? clk.millis() - started;
+    window.record({ at: clk.millis(), failed, slow: elapsed >= slowCall * 1000 });
+    const calls = window.calls();
+    if (calls.length < minimumCalls) {
+      return;
+    }
+    const failures = calls.filter((call) => call.failed).length;
+    const slow = calls.filter((call) => call.slow).length;
+    if (failures / calls.length >= rate || slow / calls.length >= slowRate) {
+      trip();
+    }
+  };
+  return {
+    /**
+     * Checks if the circuit allows operations.
+     *
+     * @returns {boolean} True if circuit allows operations, false if open
+     */
+    allowing() {
+      refresh();
+      if (!state.allowing()) {
+        return false;
+      }
+      started = clk.millis();
+      return true;
+    },
+    /**
+     * Records a successful operation. Closes a half-open circuit.
+     *
+     * @param {number} [duration] - Call duration in milliseconds
+     */
+    succeed(duration) {
+      if (state.probing()) {
+        window.clear();
+        state = closed();
+        return;
+      }
+      record(false, duration);
+    },
+    /**
+     * Records a failed operation. Reopens a half-open circuit.
+     *
+     * @param {number} [duration] - Call duration in milliseconds
+     */
+    fail(duration) {
+      if (state.probing()) {
+        trip();
+        return;
+      }
+      record(true, duration);
+    },
+    /**
+     * Returns the current state name.
+     *
+     * @returns {string} One of closed, open, or halfOpen
+     */
+    state() {
+      refresh();
+      return state.name();
+    }
+  };
+}
@@ -0,0 +1,40 @@
+/**
+ * Reconnect backoff of the streaming sources.
+ *
+ * Shared by mqttSource and lokiTailSource. The n-th consecutive
+ * reconnect attempt waits base * multiplier^n seconds, capped.
+ *
+ * @param {object} reconnect - Reconnect backoff settings
+ * @param {number} [reconnect.base] - Seconds before the first reconnect attempt (default 1)
+ * @param {number} [reconnect.cap] - Upper bound of a reconnect delay in seconds (default 30)
+ * @param {number} [reconnect.multiplier] - Factor applied to the delay after each failed attempt (default 2)
+ * @returns {object} Backoff with delay(attempts) returning seconds
+ */
+export default function reconnectBackoff(reconnect) {
+  if (!reconnect || typeof reconnect !== 'object') {
+    throw new Error('Reconnect must be an object');
+  }
+  const base = reconnect.base ?? 1;
+  const cap = reconnect.cap ?? 30;
+  const multiplier = reconnect.multiplier ?? 2;
+  if (typeof base !== 'number' || base <= 0) {
+    throw new Error(`Reconnect base must be a positive number, got: ${base}`);
+  }
+  if (typeof cap !== 'number' || cap < base) {
+    throw new Error(`Reconnect cap must be a number not less than base, got: ${cap}`);
+  }
+  if (typeof multiplier !== 'number' || multiplier < 1) {
+    throw new Error(`Reconnect multiplier must be a number not less than 1, got: ${multiplier}`);
+  }
+  return {
+    /**
+     * Computes the wait before a reconnect attempt.
+     *
+     * @param {number} attempts - Failed attempts since the last connect
+     * @returns {number} Delay in seconds
+     */
+    delay(attempts) {
+      return Math.min(cap, base * multiplier ** attempts);
+    }
+  };
+}
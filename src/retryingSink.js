@@ -0,0 +1,89 @@
+/**
+ * Sink decorator that retries failed writes with exponential backoff.
+ *
+ * Retries a rejected write up to the configured number of attempts,
+ * waiting a random delay between zero and the exponential backoff
+ * (full jitter) before each retry. Errors that the retryable predicate
+ * rejects fail immediately, and no retry is scheduled past the overall
+ * deadline. The last error is rethrown when retries are exhausted, so
+ * a wrapping batch still reports it to the circuit.
+ *
+ * @example
+ * const clk = clock();
+ * const sink = retryingSink(clickhouseSink('http://localhost:8123', 'metrics'), {
+ *   attempts: 5,
+ *   base: 0.2,
+ *   cap: 5,
+ *   deadline: 30,
+ *   retryable: (err) => err.code !== 'BAD_REQUEST'
+ * }, clk);
+ * await sink.write([{ value: 42 }]);
+ *
+ * @param {object} sink - Underlying sink with write(records) method
+ * @param {object} policy - Retry policy
+ * @param {number} [policy.attempts] - Maximum write attempts including the first (default 3)
+ * @param {number} [policy.base] - Backoff before the first retry in seconds (default 0.1)
+ * @param {number} [policy.cap] - Upper bound of a single backoff in seconds (default 10)
+ * @param {number} [policy.deadline] - Seconds allowed for all attempts (default unbounded)
+ * @param {function} [policy.retryable] - Predicate(err) returning true for retryable errors
+ * @param {function} [policy.random] - Source of numbers in [0, 1) for jitter (default Math.random)
+ * @param {object} clk - Clock with millis() and sleep() methods
+ * @returns {object} Sink with write(records) method
+ */
+export default function retryingSink(sink, policy, clk) {
+  if (!sink || typeof sink.write !== 'function') {
+    throw new Error('Sink must have a write(records) method');
+  }
+  if (!policy || typeof policy !== 'object') {
+    throw new Error('Policy must be an object');
+  }
+  const attempts = policy.attempts ?? 3;
+  const base = policy.base ?? 0.1;
+  const cap = policy.cap ?? 10;
+  const deadline = policy.deadline ?? Infinity;
+  const retryable = policy.retryable ?? (() => true);
+  const random = policy.random ?? Math.random;
+  if (!Number.isInteger(attempts) || attempts < 1) {
+    throw new Error(`Attempts must be a positive integer, got: ${attempts}`);
+  }
+  if (typeof base !== 'number' || base < 0) {
+    throw new Error(`Base must be a non-negative number, got: ${base}`);
+  }
+  if (typeof cap !== 'number' || cap < base) {
+    throw new Error(`Cap must be a number not less than base, got: ${cap}`);
+  }
+  if (typeof deadline !== 'number' || deadline <= 0) {
+    throw new Error(`Deadline must be a positive number, got: ${deadline}`);
+  }
+  if (typeof retryable !== 'function') {
+    throw new Error('Retryable must be a function');
+  }
+  if (!clk || typeof clk.millis !== 'function' || typeof clk.sleep !== 'function') {
+    throw new Error('Clock must have millis() and sleep() methods');
+  }
+  return {
+    /**
+     * Writes records, retrying retryable failures.
+     *
+     * @param {Array} records - Array of records to write
+     * @returns {Promise} Promise resolving when a write succeeds, rejecting with the last error
+     */
+    async write(records) {
+      const started = clk.millis();
+      for (let attempt = 1; ; attempt++) {
+        try {
+          return await sink.write(records);
+        } catch (err) {
+          if (attempt >= attempts || !retryable(err)) {
+            throw err;
+          }
+          const delay = random() * Math.min(cap, base * 2 ** (attempt - 1)) * 1000;
+          if (clk.millis() + delay - started >= deadline * 1000) {
+            throw err;
+          }
+          await clk.sleep(delay);
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,82 @@
+import topicMatch from './topicMatch.js';
+
+/**
+ * Checks that a value implements the collector contract.
+ *
+ * @param {*} collector - Value to check
+ * @returns {boolean} True if it has accept(), flush(), and stop() methods
+ */
+function complete(collector) {
+  return Boolean(collector)
+    && typeof collector.accept === 'function'
+    && typeof collector.flush === 'function'
+    && typeof collector.stop === 'function';
+}
+
+/**
+ * Collector routing records to other collectors by MQTT topic.
+ *
+ * Matches record.topic against the route patterns, which may use the
+ * + and # wildcards, in insertion order. The record goes to the
+ * collector of the first matching pattern, or to the fallback when no
+ * pattern matches; without a fallback it is dropped. Flush and stop
+ * reach every distinct collector, and flush reports delivery only when
+ * every one of them does.
+ *
+ * @example
+ * const collector = router({
+ *   'sensors/#': timedBatch(batch(clickhouseSink(url, 'metrics'), 1000, c1), 5),
+ *   'devices/+/status': timedBatch(batch(clickhouseSink(url, 'status'), 100, c2), 5)
+ * }, timedBatch(batch(fileSink('unrouted.jsonl'), 100, c3), 5));
+ * const source = mqttSource('mqtt://localhost:1883', 'sensors/#,devices/+/status', collector);
+ *
+ * @param {object} routes - Object mapping topic patterns to collectors
+ * @param {object} [fallback] - Collector receiving records matching no pattern
+ * @returns {object} Collector with accept(), flush(), and stop() methods
+ */
+export default function router(routes, fallback) {
+  if (!routes || typeof routes !== 'object') {
+    throw new Error('Routes must be an object mapping topic patterns to collectors');
+  }
+  const entries = Object.entries(routes);
+  if (!entries.every(([, collector]) => complete(collector))) {
+    throw new Error('Route collectors must have accept(), flush() and stop() methods');
+  }
+  if (fallback !== undefined && !complete(fallback)) {
+    throw new Error('Fallback must have accept(), flush() and stop() methods');
+  }
+  const targets = [...new Set([...entries.map(([, collector]) => collector), ...(fallback ? [fallback] : [])])];
+  return {
+    /**
+     * Forwards a record to the collector of the first matching pattern.
+     *
+     * @param {object} record - Record with topic
+     * @returns {*} Result of the chosen collector accept
+     */
+    accept(record) {
+      const topic = record && typeof record.topic === 'string' ? record.topic : null;
+      const route = topic === null ? undefined : entries.find(([pattern]) => topicMatch(pattern, topic));
+      if (route) {
+        return route[1].accept(record);
+      }
+      return fallback ? fallback.accept(record) : undefined;
+    },
+    /**
+     * Flushes every routed collector.
+     *
+     * @returns {Promise} Promise resolving to false if any collector reports undelivered records
+     */
+    async flush() {
+      const results = await Promise.all(targets.map((collector) => collector.flush()));
+      return results.every((result) => result !== false);
+    },
+    /**
+     * Stops every routed collector.
+     */
+    stop() {
+      for (const collector of targets) {
+        collector.stop();
+      }
+    }
+  };
+}
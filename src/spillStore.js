@@ -0,0 +1,206 @@
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Builds the file name of a segment from its sequence number.
+ *
+ * @param {number} id - Segment sequence number
+ * @returns {string} Zero-padded segment file name
+ */
+function segmentName(id) {
+  return `${String(id).padStart(20, '0')}.log`;
+}
+
+/**
+ * Reads the persisted read position of the queue.
+ *
+ * @param {string} file - Cursor file path
+ * @returns {Promise<object>} Cursor with segment and offset
+ */
+async function readCursor(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return { segment: 0, offset: 0 };
+    }
+    throw err;
+  }
+}
+
+/**
+ * Disk-backed spill store for records that cannot be written yet.
+ *
+ * Keeps records in a segmented append-only file queue under the given
+ * directory. Each segment holds one JSON record per line, and a cursor
+ * file tracks how many records were already removed, so the queue
+ * survives process restarts. Fully consumed segments are deleted.
+ * Records must be JSON-serializable.
+ *
+ * @example
+ * const spill = spillStore('/var/lib/pipeline/spill', { maxBytes: 104857600 });
+ * await spill.append([{ value: 42 }]);
+ * const records = await spill.peek(100);
+ * await spill.remove(records.length);
+ *
+ * @param {string} dir - Directory holding segment files
+ * @param {object} [options] - Optional store settings
+ * @param {number} [options.segmentBytes] - Bytes per segment before rolling (default 1 MiB)
+ * @param {number} [options.maxBytes] - Total bytes kept on disk (default 256 MiB)
+ * @returns {object} Store with append(), peek(), remove(), and size() methods
+ */
+export default function spillStore(dir, options = {}) {
+  if (typeof dir !== 'string' || dir.length === 0) {
+    throw new Error('Directory must be a non-empty string');
+  }
+  const segmentBytes = options.segmentBytes ?? 1048576;
+  const maxBytes = options.maxBytes ?? 268435456;
+  if (typeof segmentBytes !== 'number' || segmentBytes <= 0) {
+    throw new Error(`Segment bytes must be a positive number, got: ${segmentBytes}`);
+  }
+  if (typeof maxBytes !== 'number' || maxBytes <= 0) {
+    throw new Error(`Max bytes must be a positive number, got: ${maxBytes}`);
+  }
+  const cursorFile = path.join(dir, 'cursor.json');
+  let segments = [];
+  let offset = 0;
+  let total = 0;
+  let next = 1;
+  let loading = null;
+  let queue = Promise.resolve();
+  const load = async () => {
+    await fs.mkdir(dir, { recursive: true });
+    const cursor = await readCursor(cursorFile);
+    const names = (await fs.readdir(dir)).filter((name) => /^\d{20}\.log$/.test(name)).sort();
+    for (const name of names) {
+      const id = parseInt(name, 10);
+      const file = path.join(dir, name);
+      if (id < cursor.segment) {
+        await fs.rm(file, { force: true });
+        continue;
+      }
+      const content = await fs.readFile(file);
+      const end = content.lastIndexOf(10) + 1;
+      if (end < content.length) {
+        await fs.truncate(file, end);
+      }
+      let count = 0;
+      for (let i = 0; i < end; i++) {
+        if (content[i] === 10) {
+          count += 1;
+        }
+      }
+      segments.push({ id, bytes: end, count });
+    }
+    if (segments.length > 0 && segments[0].id === cursor.segment) {
+      offset = Math.min(cursor.offset, segments[0].count);
+    }
+    total = segments.reduce((sum, segment) => sum + segment.count, 0) - offset;
+    next = Math.max(cursor.segment, segments.length > 0 ? segments[segments.length - 1].id + 1 : 1);
+  };
+  const serial = (task) => {
+    const run = queue.then(() => {
+      if (!loading) {
+        loading = load();
+      }
+      return loading;
+    }).then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+  const used = () => segments.reduce((sum, segment) => sum + segment.bytes, 0);
+  const writeCursor = async (cursor) => {
+    const temp = `${cursorFile}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(cursor));
+    await fs.rename(temp, cursorFile);
+  };
+  return {
+    /**
+     * Appends records to the tail of the queue.
+     *
+     * @param {Array} records - Records to store
+     * @returns {Promise} Promise resolving when records are on disk, rejecting when the store is full
+     */
+    append(records) {
+      return serial(async () => {
+        if (records.length === 0) {
+          return;
+        }
+        const data = records.map((record) => `${JSON.stringify(record)}\n`).join('');
+        const bytes = Buffer.byteLength(data);
+        if (used() + bytes > maxBytes) {
+          throw new Error(`Spill store is full: ${used()} of ${maxBytes} bytes used`);
+        }
+        let tail = segments[segments.length - 1];
+        if (!tail || tail.bytes >= segmentBytes) {
+          tail = { id: next, bytes: 0, count: 0 };
+          next += 1;
+          segments.push(tail);
+        }
+        await fs.appendFile(path.join(dir, segmentName(tail.id)), data);
+        tail.bytes += bytes;
+        tail.count += records.length;
+        total += records.length;
+      });
+    },
+    /**
+     * Reads records from the head of the queue without removing them.
+     *
+     * @param {number} count - Maximum number of records to read
+     * @returns {Promise<Array>} Oldest stored records in append order
+     */
+    peek(count) {
+      return serial(async () => {
+        const result = [];
+        let skip = offset;
+        for (const segment of segments) {
+          if (result.length >= count) {
+            break;
+          }
+          const content = await fs.readFile(path.join(dir, segmentName(segment.id)), 'utf8');
+          const lines = content.split('\n').slice(skip, segment.count);
+          for (const line of lines.slice(0, count - result.length)) {
+            result.push(JSON.parse(line));
+          }
+          skip = 0;
+        }
+        return result;
+      });
+    },
+    /**
+     * Removes records from the head of the queue.
+     *
+     * @param {number} count - Number of records to remove
+     * @returns {Promise} Promise resolving when the new position is persisted
+     */
+    remove(count) {
+      return serial(async () => {
+        let left = Math.min(count, total);
+        const consumed = [];
+        while (left > 0) {
+          const head = segments[0];
+          const take = Math.min(left, head.count - offset);
+          offset += take;
+          total -= take;
+          left -= take;
+          if (offset === head.count) {
+            consumed.push(segments.shift());
+            offset = 0;
+          }
+        }
+        await writeCursor({ segment: segments.length > 0 ? segments[0].id : next, offset });
+        for (const segment of consumed) {
+          await fs.rm(path.join(dir, segmentName(segment.id)), { force: true });
+        }
+      });
+    },
+    /**
+     * Counts records waiting in the queue.
+     *
+     * @returns {Promise<number>} Number of stored records
+     */
+    size() {
+      return serial(() => total);
+    }
+  };
+}
@@ -0,0 +1,56 @@
+/**
+ * Collector stage running a synchronous transform for each record.
+ *
+ * Shared base of the transform collectors. Errors thrown by the
+ * transform are passed to the error handler together with the record;
+ * without a handler they are thrown from accept(), and the sources
+ * pass them to their own error handler. Errors of the next
+ * collector, such as a full batch, always propagate. Flush and stop
+ * are delegated to the next collector.
+ *
+ * @param {function} transform - Function(record) computing the result
+ * @param {function} forward - Function(result, record) passing the result to next
+ * @param {object} next - Collector with accept(), flush(), and stop()
+ * @param {function} [onError] - Function(err, record) receiving transform failures (default rethrows)
+ * @returns {object} Collector with accept(), flush(), and stop() methods
+ */
+export default function stage(transform, forward, next, onError = (err) => { throw err; }) {
+  if (!next || typeof next.accept !== 'function' || typeof next.flush !== 'function' || typeof next.stop !== 'function') {
+    throw new Error('Next must have accept(), flush() and stop() methods');
+  }
+  if (typeof onError !== 'function') {
+    throw new Error('Error handler must be a function');
+  }
+  return {
+    /**
+     * Transforms a record, routing transform errors to the error handler.
+     *
+     * @param {*} record - Record to accept
+     * @returns {*} Result of the downstream accept
+     */
+    accept(record) {
+      let result;
+      try {
+        result = transform(record);
+      } catch (err) {
+        onError(err, record);
+        return undefined;
+      }
+      return forward(result, record);
+    },
+    /**
+     * Flushes the next collector.
+     *
+     * @returns {*} Result of the downstream flush
+     */
+    flush() {
+      return next.flush();
+    },
+    /**
+     * Stops the next collector.
+     */
+    stop() {
+      next.stop();
+    }
+  };
+}
@@ -36,6 +36,8 @@ function scheduled(handle) {
  *
  * Wraps a collector and schedules automatic flushes after
  * a specified interval. The timer is reset on each accept call.
+ * When a scheduled flush rejects, the timer is armed again so
+ * the retained records are retried after another interval.
  *
  * @example
  * const sink = { write: (records) => console.log(records) };
@@ -63,11 +65,16 @@ export default function timedBatch(origin, interval) {
     throw new Error(`Interval must be a positive number, got: ${interval}`);
   }
   let timer = idle();
+  let running = true;
   const schedule = () => {
     if (!timer.scheduled()) {
       const handle = setTimeout(() => {
         timer = idle();
-        origin.flush();
+        Promise.resolve(origin.flush()).catch(() => {
+          if (running) {
+            schedule();
+          }
+        });
       }, interval * 1000);
       timer = scheduled(handle);
     }
@@ -81,22 +88,28 @@ export default function timedBatch(origin, interval) {
      * Accepts a record and schedules flush timer.
      *
      * @param {*} record - Record to accept
+     * @returns {*} Result of the underlying accept
      */
     accept(record) {
-      origin.accept(record);
+      running = true;
+      const result = origin.accept(record);
       schedule();
+      return result;
     },
     /**
      * Flushes and cancels pending timer.
+     *
+     * @returns {*} Result of the underlying flush
      */
     flush() {
       cancel();
-      origin.flush();
+      return origin.flush();
     },
     /**
      * Stops timer and underlying collector.
      */
     stop() {
+      running = false;
       cancel();
       origin.stop();
     }
@@ -0,0 +1,35 @@
+/**
+ * Checks whether an MQTT topic matches a subscription pattern.
+ *
+ * Supports the single-level wildcard `+` and the multi-level
+ * wildcard `#`, which also matches the parent level itself.
+ * Topics starting with `$` are not matched by leading wildcards.
+ *
+ * @example
+ * topicMatch('sensors/#', 'sensors/kitchen/temp'); // true
+ * topicMatch('devices/+/status', 'devices/a1/status'); // true
+ * topicMatch('devices/+/status', 'devices/a1/b/status'); // false
+ *
+ * @param {string} pattern - MQTT topic filter
+ * @param {string} topic - Concrete topic name
+ * @returns {boolean} True if the topic matches the pattern
+ */
+export default function topicMatch(pattern, topic) {
+  const filters = pattern.split('/');
+  const levels = topic.split('/');
+  if (topic.startsWith('$') && (filters[0] === '+' || filters[0] === '#')) {
+    return false;
+  }
+  for (let i = 0; i < filters.length; i++) {
+    if (filters[i] === '#') {
+      return true;
+    }
+    if (i >= levels.length) {
+      return false;
+    }
+    if (filters[i] !== '+' && filters[i] !== levels[i]) {
+      return false;
+    }
+  }
+  return filters.length === levels.length;
+}
@@ -3,6 +3,8 @@
  *
  * Allows manual control of time for deterministic tests.
  * Use advance() to move time forward by a specific amount.
+ * Pending sleep() calls resolve once time reaches their deadline, or
+ * when their signal aborts.
  *
  * @example
  * const clk = fakeClock(1000);
@@ -11,10 +13,11 @@
  * clk.millis(); // 1500
  *
  * @param {number} [initial=0] - Initial time in milliseconds
- * @returns {object} Clock with millis() and advance() methods
+ * @returns {object} Clock with millis(), sleep(), pending() and advance() methods
  */
 export default function fakeClock(initial = 0) {
   let time = initial;
+  let sleepers = [];
   return {
     /**
      * Returns current fake time in milliseconds.
@@ -24,6 +27,37 @@ export default function fakeClock(initial = 0) {
     millis() {
       return time;
     },
+    /**
+     * Waits until fake time has advanced by specified milliseconds.
+     *
+     * @param {number} ms - Milliseconds to wait
+     * @param {AbortSignal} [signal] - Signal ending the wait early
+     * @returns {Promise} Promise resolving when time is advanced far enough or on abort
+     */
+    sleep(ms, signal) {
+      return new Promise((resolve) => {
+        if (signal && signal.aborted) {
+          resolve();
+          return;
+        }
+        const sleeper = { due: time + ms, resolve };
+        sleepers.push(sleeper);
+        if (signal) {
+          signal.addEventListener('abort', () => {
+            sleepers = sleepers.filter((other) => other !== sleeper);
+            resolve();
+          }, { once: true });
+        }
+      });
+    },
+    /**
+     * Counts the sleep() calls still waiting.
+     *
+     * @returns {number} Number of pending sleeps
+     */
+    pending() {
+      return sleepers.length;
+    },
     /**
      * Advances fake time by specified milliseconds.
      *
@@ -31,6 +65,11 @@ export default function fakeClock(initial = 0) {
      */
     advance(ms) {
       time += ms;
+      const due = sleepers.filter((sleeper) => sleeper.due <= time);
+      sleepers = sleepers.filter((sleeper) => sleeper.due > time);
+      for (const sleeper of due) {
+        sleeper.resolve();
+      }
     }
   };
 }
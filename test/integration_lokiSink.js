@@ -0,0 +1,71 @@
+import assert from 'node:assert';
+import { describe, it, before, after } from 'mocha';
+import { GenericContainer } from 'testcontainers';
+import lokiSink from '../src/lokiSink.js';
+
+describe('lokiSink integration', function() {
+  let container;
+  let url;
+
+  before(async function() {
+    this.timeout(120000);
+    container = await new GenericContainer('grafana/loki:2.9.0')
+      .withExposedPorts(3100)
+      .withStartupTimeout(60000)
+      .start();
+    const host = container.getHost();
+    const port = container.getMappedPort(3100);
+    url = `http://${host}:${port}`;
+    let retries = 30;
+    while (retries > 0) {
+      try {
+        const response = await fetch(`${url}/ready`);
+        if (response.ok) {
+          break;
+        }
+      } catch {
+        // Loki not ready yet
+      }
+      retries -= 1;
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+    }
+  });
+
+  after(async function() {
+    this.timeout(30000);
+    if (container) {
+      await container.stop();
+    }
+  });
+
+  /**
+   * Queries the lines of a stream.
+   *
+   * @param {string} app - Value of the app label
+   * @returns {Promise} Promise resolving to the lines, oldest first
+   */
+  async function lines(app) {
+    const params = new URLSearchParams({
+      query: `{app="${app}"}`,
+      start: ((Date.now() - 60000) * 1000000).toString(),
+      end: ((Date.now() + 60000) * 1000000).toString(),
+      direction: 'forward'
+    });
+    const response = await fetch(`${url}/loki/api/v1/query_range?${params}`);
+    const data = await response.json();
+    return data.data.result.flatMap((stream) => stream.values.map(([, line]) => line));
+  }
+
+  for (const encoding of ['json', 'protobuf']) {
+    it(`pushes records as ${encoding}`, async function() {
+      this.timeout(30000);
+      const app = `app${Math.random().toString(36).slice(2)}`;
+      const sink = lokiSink(url, () => ({ app }), (record) => record.line, { encoding });
+      const now = Date.now();
+      const records = [{ line: `second ${Math.random()}`, ts: now }, { line: `\u00e9 first ${Math.random()}`, ts: now - 1 }];
+      await sink.write(records);
+      await new Promise((resolve) => setTimeout(resolve, 2000));
+      assert.deepStrictEqual(await lines(app), [records[1].line, records[0].line], 'Should store entries in timestamp order');
+    });
+  }
+});
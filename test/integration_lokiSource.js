@@ -106,4 +106,41 @@ describe('lokiSource integration', function() {
     await new Promise((resolve) => setTimeout(resolve, 2000));
     assert.strictEqual(received.length, before, 'Should not receive entries after stop');
   });
+
+  it('pages through windows larger than the page size', async function() {
+    this.timeout(30000);
+    const received = [];
+    const app = `app${Math.random().toString(36).slice(2)}`;
+    const collector = { accept: (entry) => received.push(entry) };
+    const clk = clock();
+    const source = lokiSource(url, `{app="${app}"}`, 2, collector, clk, { pageSize: 2 });
+    source.start();
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    const lines = Array.from({ length: 7 }, (_, i) => `page ${i} ${Math.random()}`);
+    for (const line of lines) {
+      await pushToLoki(url, { app }, line);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 5000));
+    source.stop();
+    assert.deepStrictEqual(received.map((entry) => entry.line), lines, 'Should receive every entry once in order');
+  });
+
+  it('keeps stream labels and parses json lines', async function() {
+    this.timeout(30000);
+    const received = [];
+    const app = `app${Math.random().toString(36).slice(2)}`;
+    const collector = { accept: (entry) => received.push(entry) };
+    const clk = clock();
+    const source = lokiSource(url, `{app="${app}"}`, 0.5, collector, clk, { parser: 'json' });
+    source.start();
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    const fields = { RequestPath: `/\u00e9${Math.random()}`, DownstreamStatus: 200 };
+    await pushToLoki(url, { app }, JSON.stringify(fields));
+    await new Promise((resolve) => setTimeout(resolve, 3000));
+    source.stop();
+    assert.strictEqual(received.length, 1, 'Should receive the entry');
+    assert.strictEqual(received[0].labels.app, app, 'Should keep stream labels');
+    assert.match(received[0].ns, /^\d{19}$/, 'Should keep nanosecond timestamp as string');
+    assert.deepStrictEqual(received[0].fields, fields, 'Should parse JSON line');
+  });
 });
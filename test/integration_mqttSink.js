@@ -0,0 +1,76 @@
+import assert from 'node:assert';
+import { describe, it, before, after } from 'mocha';
+import { GenericContainer } from 'testcontainers';
+import mqtt from 'mqtt';
+import mqttSink from '../src/mqttSink.js';
+
+describe('mqttSink integration', function() {
+  let container;
+  let url;
+  let subscriber;
+
+  before(async function() {
+    this.timeout(120000);
+    container = await new GenericContainer('eclipse-mosquitto:2')
+      .withExposedPorts(1883)
+      .withCommand(['mosquitto', '-c', '/mosquitto-no-auth.conf'])
+      .withStartupTimeout(30000)
+      .start();
+    const host = container.getHost();
+    const port = container.getMappedPort(1883);
+    url = `mqtt://${host}:${port}`;
+    subscriber = mqtt.connect(url);
+    await new Promise((resolve, reject) => {
+      subscriber.on('connect', resolve);
+      subscriber.on('error', reject);
+      setTimeout(() => reject(new Error('MQTT connection timeout')), 10000);
+    });
+  });
+
+  after(async function() {
+    this.timeout(30000);
+    if (subscriber) {
+      subscriber.end();
+    }
+    if (container) {
+      await container.stop();
+    }
+  });
+
+  it('publishes records to topics derived from fields', async function() {
+    this.timeout(10000);
+    const prefix = `processed/${Math.random().toString(36).slice(2)}`;
+    const received = [];
+    subscriber.on('message', (topic, message) => {
+      if (topic.startsWith(prefix)) {
+        received.push({ topic, record: JSON.parse(message.toString()) });
+      }
+    });
+    await subscriber.subscribeAsync(`${prefix}/#`);
+    const sink = mqttSink(url, `${prefix}/{device}/temp`, { qos: 1 });
+    const records = [{ device: 'a1', value: Math.random() }, { device: 'b2', value: `\u00b0C${Math.random()}` }];
+    await sink.write(records);
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    await sink.close();
+    assert.deepStrictEqual(received, [
+      { topic: `${prefix}/a1/temp`, record: records[0] },
+      { topic: `${prefix}/b2/temp`, record: records[1] }
+    ], 'Should publish each record to its topic');
+  });
+
+  it('publishes retained messages with custom serializer', async function() {
+    this.timeout(10000);
+    const topic = `retained/${Math.random().toString(36).slice(2)}`;
+    const sink = mqttSink(url, topic, { qos: 2, retain: true, serializer: (record) => `${record.value}` });
+    const value = Math.random();
+    await sink.write([{ value }]);
+    await sink.close();
+    const late = mqtt.connect(url);
+    const message = await new Promise((resolve) => {
+      late.on('message', (t, payload, packet) => resolve({ payload: payload.toString(), retain: packet.retain }));
+      late.subscribe(topic);
+    });
+    late.end();
+    assert.deepStrictEqual(message, { payload: `${value}`, retain: true }, 'Should deliver retained message to late subscriber');
+  });
+});
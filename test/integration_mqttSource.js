@@ -3,6 +3,7 @@ import { describe, it, before, after } from 'mocha';
 import { GenericContainer } from 'testcontainers';
 import mqtt from 'mqtt';
 import mqttSource from '../src/mqttSource.js';
+import decoders from '../src/decoders.js';
 
 describe('mqttSource integration', function() {
   let container;
@@ -116,4 +117,86 @@ describe('mqttSource integration', function() {
     assert.strictEqual(received[0].topic, topic, 'Should include topic');
     assert.strictEqual(received[0].payload, payload, 'Should include raw payload');
   });
+
+  it('decodes payload with decoder chosen by topic pattern', async function() {
+    this.timeout(10000);
+    const received = [];
+    const suffix = Math.random().toString(36).slice(2);
+    const collector = { accept: (record) => received.push(record) };
+    const source = mqttSource(url, `json/${suffix},raw/${suffix}`, collector, {
+      decoder: { 'json/#': decoders.json, 'raw/#': decoders.raw }
+    });
+    source.start();
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    const record = { value: Math.random(), unit: `\u00b0C` };
+    publisher.publish(`json/${suffix}`, JSON.stringify(record));
+    publisher.publish(`raw/${suffix}`, Buffer.from([0xff, 0x00, 0x7f]));
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    source.stop();
+    const json = received.find((r) => r.topic.startsWith('json/'));
+    const raw = received.find((r) => r.topic.startsWith('raw/'));
+    assert.deepStrictEqual(json.payload, record, 'Should decode JSON payload');
+    assert.deepStrictEqual([...raw.payload], [0xff, 0x00, 0x7f], 'Should keep raw bytes');
+  });
+
+  it('sends undecodable payload to dead letter collector', async function() {
+    this.timeout(10000);
+    const received = [];
+    const dead = [];
+    const topic = `bad/${Math.random().toString(36).slice(2)}`;
+    const collector = { accept: (record) => received.push(record) };
+    const source = mqttSource(url, topic, collector, {
+      decoder: decoders.json,
+      deadLetter: { accept: (record) => dead.push(record) }
+    });
+    source.start();
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    publisher.publish(topic, 'not json');
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    source.stop();
+    assert.strictEqual(received.length, 0, 'Should not forward undecodable payload');
+    assert.strictEqual(dead.length, 1, 'Should send payload to dead letter collector');
+  });
+
+  it('delivers messages with manual acknowledgement', async function() {
+    this.timeout(10000);
+    const received = [];
+    let flushes = 0;
+    const topic = `ack/${Math.random().toString(36).slice(2)}`;
+    const collector = {
+      accept: (record) => received.push(record),
+      flush: async () => {
+        flushes += 1;
+        return true;
+      }
+    };
+    const source = mqttSource(url, topic, collector, {
+      clientId: `ack-${Math.random().toString(36).slice(2)}`,
+      manualAck: true,
+      ackInterval: 0.2
+    });
+    source.start();
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    publisher.publish(topic, `\u00e9${Math.random()}`, { qos: 1 });
+    publisher.publish(topic, `\u00f1${Math.random()}`, { qos: 1 });
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    source.stop();
+    assert.strictEqual(received.length, 2, 'Should receive held messages');
+    assert.strictEqual(flushes >= 1, true, 'Should flush collector to release acknowledgements');
+  });
+
+  it('resolves start once the subscription is granted', async function() {
+    this.timeout(10000);
+    const topic = `ready/${Math.random().toString(36).slice(2)}`;
+    const source = mqttSource(url, topic, { accept: () => {} });
+    const events = [];
+    source.on('connect', () => events.push('connect'));
+    source.on('subscribe', () => events.push('subscribe'));
+    const granted = await source.start();
+    const status = source.status();
+    source.stop();
+    assert.deepStrictEqual(granted, [{ topic, qos: 0 }], 'Should resolve with granted subscriptions');
+    assert.strictEqual(status, 'connected', 'Should report connected');
+    assert.deepStrictEqual(events, ['connect', 'subscribe'], 'Should notify connect then subscribe');
+  });
 });
@@ -0,0 +1,25 @@
+/**
+ * Collector recording accepted records and lifecycle calls.
+ *
+ * Stands in for the next collector in tests of decorators and routers.
+ *
+ * @example
+ * const next = recorder();
+ * map((r) => r.value, next).accept({ value: 1 });
+ * next.calls.accepted; // [1]
+ *
+ * @param {*} [delivered=true] - Value flush resolves to
+ * @returns {object} Collector with accept(), flush(), stop(), and calls
+ */
+export default function recorder(delivered = true) {
+  const calls = { accepted: [], flushed: 0, stopped: 0 };
+  return {
+    calls,
+    accept: (record) => { calls.accepted.push(record); },
+    flush: async () => {
+      calls.flushed += 1;
+      return delivered;
+    },
+    stop: () => { calls.stopped += 1; }
+  };
+}
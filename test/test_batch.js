@@ -4,8 +4,24 @@ import batch from '../src/batch.js';
 import circuit from '../src/circuit.js';
 import fakeClock from './fakeClock.js';
 
+/**
+ * In-memory spill store for batch tests.
+ *
+ * @returns {object} Store with append(), peek(), remove(), size() and records
+ */
+function memorySpill() {
+  const records = [];
+  return {
+    records,
+    append: async (recs) => { records.push(...recs); },
+    peek: async (count) => records.slice(0, count),
+    remove: async (count) => { records.splice(0, count); },
+    size: async () => records.length
+  };
+}
+
 describe('batch', () => {
-  it('flushes when batch size is reached', () => {
+  it('flushes when batch size is reached', async () => {
     const received = [];
     const sink = { write: (records) => received.push(...records) };
     const size = Math.floor(Math.random() * 5) + 2;
@@ -13,13 +29,13 @@ describe('batch', () => {
     const c = circuit(5, 60, clk);
     const b = batch(sink, size, c);
     for (let i = 0; i < size; i++) {
-      b.accept({ value: `\u00e9\u00f1\u00fc${i}` });
+      await b.accept({ value: `\u00e9\u00f1\u00fc${i}` });
     }
     b.stop();
     assert.strictEqual(received.length, size, 'Should flush all records at size');
   });
 
-  it('flushes on manual flush call', () => {
+  it('flushes on manual flush call', async () => {
     const received = [];
     const sink = { write: (records) => received.push(...records) };
     const count = Math.floor(Math.random() * 5) + 1;
@@ -29,23 +45,23 @@ describe('batch', () => {
     for (let i = 0; i < count; i++) {
       b.accept({ id: `\u4e2d\u6587${i}` });
     }
-    b.flush();
+    await b.flush();
     b.stop();
     assert.strictEqual(received.length, count, 'Should flush all records on manual flush');
   });
 
-  it('does not flush empty batch', () => {
+  it('does not flush empty batch', async () => {
     let called = false;
     const sink = { write: () => { called = true; } };
     const clk = fakeClock(Math.floor(Math.random() * 10000));
     const c = circuit(5, 60, clk);
     const b = batch(sink, 10, c);
-    b.flush();
+    await b.flush();
     b.stop();
     assert.strictEqual(called, false, 'Should not call write on empty batch');
   });
 
-  it('clears records on stop', () => {
+  it('clears records on stop', async () => {
     const received = [];
     const sink = { write: (records) => received.push(...records) };
     const clk = fakeClock(Math.floor(Math.random() * 10000));
@@ -56,23 +72,23 @@ describe('batch', () => {
       b.accept({ x: Math.random() });
     }
     b.stop();
-    b.flush();
+    await b.flush();
     assert.strictEqual(received.length, 0, 'Should clear records on stop');
   });
 
-  it('respects circuit when allowing', () => {
+  it('respects circuit when allowing', async () => {
     const received = [];
     const sink = { write: (records) => received.push(...records) };
     const clk = fakeClock(Math.floor(Math.random() * 10000));
     const c = circuit(5, 60, clk);
     const b = batch(sink, 2, c);
     b.accept({ v: `\u3042${Math.random()}` });
-    b.accept({ v: `\u3044${Math.random()}` });
+    await b.accept({ v: `\u3044${Math.random()}` });
     b.stop();
     assert.strictEqual(received.length, 2, 'Should flush when circuit is allowing');
   });
 
-  it('skips flush when circuit is not allowing', () => {
+  it('skips flush when circuit is not allowing', async () => {
     const received = [];
     const sink = { write: (records) => received.push(...records) };
     const clk = fakeClock(Math.floor(Math.random() * 10000));
@@ -80,12 +96,12 @@ describe('batch', () => {
     c.fail();
     const b = batch(sink, 2, c);
     b.accept({ v: Math.random() });
-    b.accept({ v: Math.random() });
+    await b.accept({ v: Math.random() });
     b.stop();
     assert.strictEqual(received.length, 0, 'Should skip flush when circuit is not allowing');
   });
 
-  it('calls succeed on circuit after flush', () => {
+  it('calls succeed on circuit after flush', async () => {
     let succeeded = false;
     const sink = { write: () => {} };
     const c = {
@@ -94,12 +110,12 @@ describe('batch', () => {
       fail: () => {}
     };
     const b = batch(sink, 1, c);
-    b.accept({ data: `\u00df${Math.random()}` });
+    await b.accept({ data: `\u00df${Math.random()}` });
     b.stop();
     assert.strictEqual(succeeded, true, 'Should call succeed on circuit');
   });
 
-  it('calls fail on circuit when sink throws', () => {
+  it('calls fail on circuit when sink throws', async () => {
     let failed = false;
     const sink = { write: () => { throw new Error('Sink failure'); } };
     const c = {
@@ -108,23 +124,24 @@ describe('batch', () => {
       fail: () => { failed = true; }
     };
     const b = batch(sink, 1, c);
-    try { b.accept({ v: Math.random() }); } catch (e) { /* expected */ }
+    await b.accept({ v: Math.random() });
     b.stop();
     assert.strictEqual(failed, true, 'Should call fail on circuit');
   });
 
-  it('propagates error when sink throws', () => {
+  it('propagates error from flush when sink throws', async () => {
     const sink = { write: () => { throw new Error('Sink failure'); } };
     const c = {
       allowing: () => true,
       succeed: () => {},
       fail: () => {}
     };
-    const b = batch(sink, 1, c);
-    assert.throws(() => b.accept({ v: Math.random() }), /Sink failure/, 'Should propagate error');
+    const b = batch(sink, 100, c);
+    b.accept({ v: Math.random() });
+    await assert.rejects(b.flush(), /Sink failure/, 'Should propagate error');
   });
 
-  it('preserves records after failed write', () => {
+  it('preserves records after failed write', async () => {
     const received = [];
     let attempts = 0;
     const sink = {
@@ -143,12 +160,341 @@ describe('batch', () => {
     };
     const b = batch(sink, 100, c);
     b.accept({ data: `\u00e9${Math.random()}` });
-    try { b.flush(); } catch (e) { /* first attempt fails */ }
-    b.flush();
+    try { await b.flush(); } catch (e) { /* first attempt fails */ }
+    await b.flush();
     b.stop();
     assert.strictEqual(received.length, 1, 'Should preserve records after failed write');
   });
 
+  it('calls fail on circuit when sink rejects', async () => {
+    let failed = 0;
+    const sink = { write: () => Promise.reject(new Error(`\u00fc${Math.random()}`)) };
+    const c = {
+      allowing: () => true,
+      succeed: () => {},
+      fail: () => { failed += 1; }
+    };
+    const b = batch(sink, 1, c);
+    await b.accept({ v: Math.random() });
+    b.stop();
+    assert.strictEqual(failed, 1, 'Should call fail on circuit when write rejects');
+  });
+
+  it('keeps records until asynchronous write resolves', async () => {
+    const received = [];
+    let resolve;
+    const sink = {
+      write: (recs) => new Promise((done) => {
+        resolve = () => {
+          received.push(...recs);
+          done();
+        };
+      })
+    };
+    const c = { allowing: () => true, succeed: () => {}, fail: () => {} };
+    const b = batch(sink, 100, c);
+    const count = Math.floor(Math.random() * 5) + 1;
+    for (let i = 0; i < count; i++) {
+      b.accept({ id: `\u0436${i}` });
+    }
+    const flushing = b.flush();
+    await new Promise((done) => setImmediate(done));
+    resolve();
+    await flushing;
+    await b.flush();
+    b.stop();
+    assert.strictEqual(received.length, count, 'Should write records exactly once');
+  });
+
+  it('retries rejected records on the next flush', async () => {
+    const received = [];
+    let attempts = 0;
+    const sink = {
+      write: async (recs) => {
+        attempts += 1;
+        if (attempts === 1) {
+          throw new Error('Temporary failure');
+        }
+        received.push(...recs);
+      }
+    };
+    const c = { allowing: () => true, succeed: () => {}, fail: () => {} };
+    const b = batch(sink, 100, c);
+    b.accept({ data: `\u00e9${Math.random()}` });
+    await assert.rejects(b.flush(), /Temporary failure/);
+    b.accept({ data: `\u00e8${Math.random()}` });
+    await b.flush();
+    b.stop();
+    assert.strictEqual(received.length, 2, 'Should write retained and new records');
+  });
+
+  it('keeps at most one write in flight', async () => {
+    let active = 0;
+    let peak = 0;
+    const sink = {
+      write: async () => {
+        active += 1;
+        peak = Math.max(peak, active);
+        await new Promise((done) => setImmediate(done));
+        active -= 1;
+      }
+    };
+    const c = { allowing: () => true, succeed: () => {}, fail: () => {} };
+    const b = batch(sink, 1, c);
+    const count = Math.floor(Math.random() * 5) + 3;
+    const pending = [];
+    for (let i = 0; i < count; i++) {
+      pending.push(b.accept({ v: `\u00f8${i}` }));
+    }
+    await Promise.all(pending);
+    b.stop();
+    assert.strictEqual(peak, 1, 'Should not overlap writes');
+  });
+
+  it('moves records to spill while circuit is open', async () => {
+    const received = [];
+    const sink = { write: (records) => received.push(...records) };
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const c = circuit(1, 60, clk);
+    c.fail();
+    const spill = memorySpill();
+    const b = batch(sink, 100, c, { spill });
+    const count = Math.floor(Math.random() * 5) + 1;
+    for (let i = 0; i < count; i++) {
+      b.accept({ v: `\u00e9${i}` });
+    }
+    await b.flush();
+    b.stop();
+    assert.strictEqual(spill.records.length, count, 'Should move records to spill');
+  });
+
+  it('replays spilled records in order before new ones', async () => {
+    const received = [];
+    const sink = { write: (records) => received.push(...records) };
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const c = circuit(1, 60, clk);
+    c.fail();
+    const spill = memorySpill();
+    const b = batch(sink, 2, c, { spill });
+    b.accept({ id: 0 });
+    b.accept({ id: 1 });
+    await b.accept({ id: 2 });
+    await b.flush();
+    clk.advance(60000);
+    b.accept({ id: 3 });
+    await b.flush();
+    b.stop();
+    assert.deepStrictEqual(received.map((r) => r.id), [0, 1, 2, 3], 'Should replay in order');
+  });
+
+  it('keeps spilled records when replay fails', async () => {
+    const sink = { write: async () => { throw new Error(`\u4e2d${Math.random()}`); } };
+    const c = { allowing: () => true, succeed: () => {}, fail: () => {} };
+    const spill = memorySpill();
+    const count = Math.floor(Math.random() * 5) + 1;
+    await spill.append(Array.from({ length: count }, (_, i) => ({ i })));
+    const b = batch(sink, 100, c, { spill });
+    await assert.rejects(b.flush());
+    b.stop();
+    assert.strictEqual(spill.records.length, count, 'Should keep spilled records');
+  });
+
+  it('replays records stored by a previous run without a flush', async () => {
+    const received = [];
+    const sink = { write: (records) => received.push(...records) };
+    const c = circuit(5, 60, fakeClock(Math.floor(Math.random() * 10000)));
+    const spill = memorySpill();
+    const stored = Array.from({ length: Math.floor(Math.random() * 5) + 1 }, (_, i) => ({ v: `\u00e9${i}` }));
+    await spill.append(stored);
+    const b = batch(sink, 2, c, { spill });
+    await new Promise((resolve) => setImmediate(resolve));
+    b.stop();
+    assert.deepStrictEqual(received, stored, 'Should replay stored records on start');
+    assert.strictEqual(spill.records.length, 0, 'Should empty the spill store');
+  });
+
+  it('throws on invalid spill', () => {
+    const sink = { write: () => {} };
+    const c = { allowing: () => true, succeed: () => {}, fail: () => {} };
+    assert.throws(
+      () => batch(sink, 10, c, { spill: {} }),
+      /Spill must have append\(\)/,
+      'Should reject invalid spill'
+    );
+  });
+
+  it('drops oldest record when buffer is full', async () => {
+    const received = [];
+    const sink = { write: (records) => received.push(...records) };
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const c = circuit(1, 60, clk);
+    c.fail();
+    const b = batch(sink, 2, c, { maxBuffered: 3, overflow: 'drop-oldest' });
+    for (let i = 0; i < 5; i++) {
+      await b.accept({ id: i });
+    }
+    clk.advance(60000);
+    await b.flush();
+    b.stop();
+    assert.deepStrictEqual(received.map((r) => r.id), [2, 3, 4], 'Should keep newest records');
+    assert.strictEqual(b.dropped().oldest, 2, 'Should count dropped oldest records');
+  });
+
+  it('counts incoming record as newest when every buffered record is in flight', async () => {
+    let release = null;
+    const received = [];
+    const sink = {
+      write: (records) => new Promise((resolve) => {
+        received.push(...records);
+        release = resolve;
+      })
+    };
+    const c = circuit(5, 60, fakeClock(0));
+    const b = batch(sink, 2, c, { maxBuffered: 2, overflow: 'drop-oldest' });
+    b.accept({ id: `\u00e9${Math.random()}` });
+    b.accept({ id: `\u00e9${Math.random()}` });
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await b.accept({ id: 'late' });
+    release();
+    await b.flush();
+    b.stop();
+    assert.strictEqual(received.some((r) => r.id === 'late'), false, 'Should drop incoming record');
+    assert.deepStrictEqual(b.dropped(), { oldest: 0, newest: 1, rejected: 0 }, 'Should count incoming record as newest');
+  });
+
+  it('drops newest record when buffer is full', async () => {
+    const received = [];
+    const sink = { write: (records) => received.push(...records) };
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const c = circuit(1, 60, clk);
+    c.fail();
+    const b = batch(sink, 2, c, { maxBuffered: 3, overflow: 'drop-newest' });
+    for (let i = 0; i < 5; i++) {
+      await b.accept({ id: `\u00e9${i}` });
+    }
+    clk.advance(60000);
+    await b.flush();
+    b.stop();
+    assert.deepStrictEqual(received.map((r) => r.id), ['\u00e90', '\u00e91', '\u00e92'], 'Should keep oldest records');
+    assert.strictEqual(b.dropped().newest, 2, 'Should count dropped newest records');
+  });
+
+  it('throws from accept when buffer is full under reject policy', async () => {
+    const sink = { write: () => {} };
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const c = circuit(1, 60, clk);
+    c.fail();
+    const b = batch(sink, 1, c, { maxBuffered: 2, overflow: 'reject' });
+    await b.accept({ v: Math.random() });
+    await b.accept({ v: Math.random() });
+    assert.throws(() => b.accept({ v: Math.random() }), /Batch buffer is full/, 'Should reject when full');
+    b.stop();
+    assert.strictEqual(b.dropped().rejected, 1, 'Should count rejected records');
+  });
+
+  it('holds accept until space frees under backpressure policy', async () => {
+    const received = [];
+    const sink = { write: (records) => received.push(...records) };
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const c = circuit(1, 60, clk);
+    c.fail();
+    const b = batch(sink, 2, c, { maxBuffered: 2, overflow: 'backpressure' });
+    await b.accept({ id: 0 });
+    await b.accept({ id: 1 });
+    let admitted = false;
+    const blocked = b.accept({ id: 2 }).then(() => { admitted = true; });
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.strictEqual(admitted, false, 'Should hold accept while full');
+    clk.advance(60000);
+    await b.flush();
+    await blocked;
+    await b.flush();
+    b.stop();
+    assert.deepStrictEqual(received.map((r) => r.id), [0, 1, 2], 'Should admit held record after flush');
+  });
+
+  it('never drops records of a write in flight', async () => {
+    const received = [];
+    let resolve;
+    const sink = {
+      write: (records) => new Promise((done) => {
+        resolve = () => {
+          received.push(...records);
+          done();
+        };
+      })
+    };
+    const c = { allowing: () => true, succeed: () => {}, fail: () => {} };
+    const b = batch(sink, 2, c, { maxBuffered: 3 });
+    b.accept({ id: 0 });
+    b.accept({ id: 1 });
+    await new Promise((done) => setImmediate(done));
+    b.accept({ id: 2 });
+    b.accept({ id: 3 });
+    resolve();
+    await new Promise((done) => setImmediate(done));
+    const flushing = b.flush();
+    await new Promise((done) => setImmediate(done));
+    resolve();
+    await flushing;
+    b.stop();
+    assert.deepStrictEqual(received.map((r) => r.id), [0, 1, 3], 'Should drop only records not in flight');
+  });
+
+  it('throws on max buffered below size', () => {
+    const sink = { write: () => {} };
+    const c = { allowing: () => true, succeed: () => {}, fail: () => {} };
+    assert.throws(
+      () => batch(sink, 10, c, { maxBuffered: 5 }),
+      /Max buffered must be a number not less than size/,
+      'Should reject max buffered below size'
+    );
+  });
+
+  it('throws on unknown overflow policy', () => {
+    const sink = { write: () => {} };
+    const c = { allowing: () => true, succeed: () => {}, fail: () => {} };
+    assert.throws(
+      () => batch(sink, 10, c, { overflow: `\u00fc${Math.random()}` }),
+      /Overflow must be drop-oldest, drop-newest, reject or backpressure/,
+      'Should reject unknown overflow policy'
+    );
+  });
+
+  it('reports delivery from flush', async () => {
+    const sink = { write: async () => {} };
+    const c = { allowing: () => true, succeed: () => {}, fail: () => {} };
+    const b = batch(sink, 100, c);
+    b.accept({ v: `\u00e9${Math.random()}` });
+    const delivered = await b.flush();
+    b.stop();
+    assert.strictEqual(delivered, true, 'Should report records delivered');
+  });
+
+  it('reports undelivered records while circuit is open', async () => {
+    const sink = { write: async () => {} };
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const c = circuit(1, 60, clk);
+    c.fail();
+    const b = batch(sink, 100, c);
+    b.accept({ v: Math.random() });
+    const delivered = await b.flush();
+    b.stop();
+    assert.strictEqual(delivered, false, 'Should report records still buffered');
+  });
+
+  it('reports spilled records as delivered', async () => {
+    const sink = { write: async () => {} };
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const c = circuit(1, 60, clk);
+    c.fail();
+    const b = batch(sink, 100, c, { spill: memorySpill() });
+    b.accept({ v: Math.random() });
+    const delivered = await b.flush();
+    b.stop();
+    assert.strictEqual(delivered, true, 'Should count spilled records as delivered');
+  });
+
   it('throws on missing sink', () => {
     const c = { allowing: () => true, succeed: () => {}, fail: () => {} };
     assert.throws(
@@ -0,0 +1,99 @@
+import assert from 'node:assert';
+import { describe, it } from 'mocha';
+import bisectingSink from '../src/bisectingSink.js';
+import memorySink from '../src/memorySink.js';
+
+/**
+ * Sink rejecting any batch containing a record marked bad.
+ *
+ * @param {Array} received - Array collecting written records
+ * @returns {object} Sink with write(records) method
+ */
+function pickySink(received) {
+  return {
+    write: async (records) => {
+      const bad = records.find((record) => record.bad);
+      if (bad) {
+        throw new Error(`Cannot parse row ${bad.id}`);
+      }
+      received.push(...records);
+    }
+  };
+}
+
+describe('bisectingSink', () => {
+  it('writes clean batch through', async () => {
+    const received = [];
+    const deadLetter = memorySink();
+    const sink = bisectingSink(pickySink(received), deadLetter, () => true);
+    const count = Math.floor(Math.random() * 10) + 1;
+    await sink.write(Array.from({ length: count }, (_, i) => ({ id: `\u00e9${i}` })));
+    assert.strictEqual(received.length, count, 'Should write all records');
+    assert.strictEqual(deadLetter.records().length, 0, 'Should not dead-letter clean records');
+  });
+
+  it('isolates poison records into dead-letter sink', async () => {
+    const received = [];
+    const deadLetter = memorySink();
+    const sink = bisectingSink(pickySink(received), deadLetter, (err) => /Cannot parse/.test(err.message));
+    const count = Math.floor(Math.random() * 20) + 5;
+    const poison = Math.floor(Math.random() * count);
+    const records = Array.from({ length: count }, (_, i) => ({ id: i, bad: i === poison }));
+    await sink.write(records);
+    assert.deepStrictEqual(
+      received.map((r) => r.id),
+      records.filter((r) => !r.bad).map((r) => r.id),
+      'Should write every good record in order'
+    );
+    assert.deepStrictEqual(
+      deadLetter.records(),
+      [{ record: records[poison], error: `Cannot parse row ${poison}` }],
+      'Should dead-letter poison record with error'
+    );
+  });
+
+  it('isolates several poison records', async () => {
+    const received = [];
+    const deadLetter = memorySink();
+    const sink = bisectingSink(pickySink(received), deadLetter, () => true);
+    const records = Array.from({ length: 16 }, (_, i) => ({ id: i, bad: i % 5 === 0 }));
+    await sink.write(records);
+    assert.deepStrictEqual(deadLetter.records().map((d) => d.record.id), [0, 5, 10, 15], 'Should isolate each poison record');
+    assert.strictEqual(received.length, 12, 'Should write remaining records');
+  });
+
+  it('rethrows errors that are not data errors', async () => {
+    const deadLetter = memorySink();
+    const sink = bisectingSink(
+      { write: async () => { throw new Error(`Connection refused \u4e2d${Math.random()}`); } },
+      deadLetter,
+      (err) => /Cannot parse/.test(err.message)
+    );
+    await assert.rejects(sink.write([{ v: 1 }, { v: 2 }]), /Connection refused/);
+    assert.strictEqual(deadLetter.records().length, 0, 'Should not dead-letter on other errors');
+  });
+
+  it('throws on missing sink', () => {
+    assert.throws(
+      () => bisectingSink(null, memorySink(), () => true),
+      /Sink must have a write\(records\) method/,
+      'Should reject missing sink'
+    );
+  });
+
+  it('throws on missing dead-letter sink', () => {
+    assert.throws(
+      () => bisectingSink({ write: async () => {} }, null, () => true),
+      /Dead letter must have a write\(records\) method/,
+      'Should reject missing dead-letter sink'
+    );
+  });
+
+  it('throws on missing predicate', () => {
+    assert.throws(
+      () => bisectingSink({ write: async () => {} }, memorySink()),
+      /Poisoned must be a function/,
+      'Should reject missing predicate'
+    );
+  });
+});
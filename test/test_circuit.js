@@ -91,7 +91,7 @@ describe('circuit', () => {
     );
   });
 
-  it('resets failures when circuit allows again after timeout', () => {
+  it('resets failures when trial succeeds after timeout', () => {
     const threshold = Math.floor(Math.random() * 3) + 1;
     const timeout = 60;
     const clk = fakeClock(Math.floor(Math.random() * 10000));
@@ -101,9 +101,226 @@ describe('circuit', () => {
     }
     clk.advance(timeout * 1000);
     c.allowing();
+    c.succeed();
     for (let i = 0; i < threshold - 1; i++) {
       c.fail();
     }
     assert.strictEqual(c.allowing(), true, 'Circuit should remain allowing after reset');
   });
+
+  it('allows only configured trials while half-open', () => {
+    const trials = Math.floor(Math.random() * 4) + 1;
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const c = circuit(1, 60, clk, { trials });
+    c.fail();
+    clk.advance(60000);
+    let allowed = 0;
+    for (let i = 0; i < trials + 3; i++) {
+      if (c.allowing()) {
+        allowed += 1;
+      }
+    }
+    assert.strictEqual(allowed, trials, 'Should allow only configured trials');
+  });
+
+  it('closes after successful trial', () => {
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const c = circuit(1, 60, clk);
+    c.fail();
+    clk.advance(60000);
+    c.allowing();
+    c.succeed();
+    for (let i = 0; i < 5; i++) {
+      c.allowing();
+    }
+    assert.strictEqual(c.allowing(), true, 'Should allow freely after closing');
+  });
+
+  it('reopens immediately when trial fails', () => {
+    const threshold = Math.floor(Math.random() * 5) + 2;
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const c = circuit(threshold, 60, clk);
+    for (let i = 0; i < threshold; i++) {
+      c.fail();
+    }
+    clk.advance(60000);
+    c.allowing();
+    c.fail();
+    assert.strictEqual(c.allowing(), false, 'Should reopen after a single failed trial');
+  });
+
+  it('grows open timeout after repeated trips', () => {
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const c = circuit(1, 10, clk, { multiplier: 2 });
+    c.fail();
+    clk.advance(10000);
+    c.allowing();
+    c.fail();
+    clk.advance(10000);
+    assert.strictEqual(c.allowing(), false, 'Should still block after base timeout');
+    clk.advance(10000);
+    assert.strictEqual(c.allowing(), true, 'Should allow after doubled timeout');
+  });
+
+  it('ignores late failures while open', () => {
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const c = circuit(1, 10, clk, { multiplier: 2 });
+    let opens = 0;
+    c.on('open', () => { opens += 1; });
+    c.fail();
+    const reopensAt = c.reopensAt();
+    clk.advance(5000);
+    c.fail();
+    c.fail();
+    assert.strictEqual(opens, 1, 'Should not trip again while open');
+    assert.strictEqual(c.reopensAt(), reopensAt, 'Should keep the open timeout');
+    clk.advance(5000);
+    assert.strictEqual(c.allowing(), true, 'Should allow after base timeout');
+  });
+
+  it('caps grown timeout at max timeout', () => {
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const c = circuit(1, 10, clk, { multiplier: 10, maxTimeout: 15 });
+    c.fail();
+    clk.advance(10000);
+    c.allowing();
+    c.fail();
+    clk.advance(15000);
+    assert.strictEqual(c.allowing(), true, 'Should allow after max timeout');
+  });
+
+  it('restores base timeout after closing', () => {
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const c = circuit(1, 10, clk, { multiplier: 3 });
+    c.fail();
+    clk.advance(10000);
+    c.allowing();
+    c.fail();
+    clk.advance(30000);
+    c.allowing();
+    c.succeed();
+    c.fail();
+    clk.advance(10000);
+    assert.strictEqual(c.allowing(), true, 'Should use base timeout after closing');
+  });
+
+  it('throws on invalid trials', () => {
+    const clk = fakeClock(0);
+    assert.throws(
+      () => circuit(1, 10, clk, { trials: 0 }),
+      /Trials must be a positive integer/,
+      'Should reject invalid trials'
+    );
+  });
+
+  it('throws on invalid multiplier', () => {
+    const clk = fakeClock(0);
+    assert.throws(
+      () => circuit(1, 10, clk, { multiplier: Math.random() * 0.9 }),
+      /Multiplier must be a number not less than 1/,
+      'Should reject invalid multiplier'
+    );
+  });
+
+  it('throws on max timeout below timeout', () => {
+    const clk = fakeClock(0);
+    assert.throws(
+      () => circuit(1, 10, clk, { maxTimeout: 5 }),
+      /Max timeout must be a number not less than timeout/,
+      'Should reject max timeout below timeout'
+    );
+  });
+
+  it('reports state transitions through state()', () => {
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const c = circuit(1, 60, clk);
+    const states = [c.state()];
+    c.fail();
+    states.push(c.state());
+    clk.advance(60000);
+    states.push(c.state());
+    c.succeed();
+    states.push(c.state());
+    assert.deepStrictEqual(states, ['closed', 'open', 'halfOpen', 'closed'], 'Should report each state');
+  });
+
+  it('counts failures', () => {
+    const threshold = Math.floor(Math.random() * 5) + 3;
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const c = circuit(threshold, 60, clk);
+    const count = Math.floor(Math.random() * (threshold - 1)) + 1;
+    for (let i = 0; i < count; i++) {
+      c.fail();
+    }
+    assert.strictEqual(c.failures(), count, 'Should count failures');
+  });
+
+  it('reports when an open circuit reopens', () => {
+    const start = Math.floor(Math.random() * 10000);
+    const timeout = Math.floor(Math.random() * 100) + 1;
+    const clk = fakeClock(start);
+    const c = circuit(1, timeout, clk);
+    const closedAt = c.reopensAt();
+    c.fail();
+    assert.strictEqual(closedAt, null, 'Should report null while closed');
+    assert.strictEqual(c.reopensAt(), start + timeout * 1000, 'Should report reopening time');
+  });
+
+  it('notifies listeners of transitions with clock time', () => {
+    const start = Math.floor(Math.random() * 10000);
+    const clk = fakeClock(start);
+    const c = circuit(1, 60, clk);
+    const events = [];
+    c.on('open', (e) => events.push(['open', e.at]));
+    c.on('halfOpen', (e) => events.push(['halfOpen', e.at]));
+    c.on('close', (e) => events.push(['close', e.at]));
+    c.fail();
+    clk.advance(60000);
+    c.allowing();
+    clk.advance(5);
+    c.succeed();
+    assert.deepStrictEqual(events, [
+      ['open', start],
+      ['halfOpen', start + 60000],
+      ['close', start + 60005]
+    ], 'Should notify each transition with timestamp');
+  });
+
+  it('does not notify close while already closed', () => {
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const c = circuit(3, 60, clk);
+    let closes = 0;
+    c.on('close', () => { closes += 1; });
+    c.fail();
+    c.succeed();
+    assert.strictEqual(closes, 0, 'Should not notify without transition');
+  });
+
+  it('removes listener on unsubscribe', () => {
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const c = circuit(1, 60, clk);
+    let opens = 0;
+    const off = c.on('open', () => { opens += 1; });
+    off();
+    c.fail();
+    assert.strictEqual(opens, 0, 'Should not notify removed listener');
+  });
+
+  it('throws on unknown event', () => {
+    const c = circuit(1, 60, fakeClock(0));
+    assert.throws(
+      () => c.on(`\u00e9${Math.random()}`, () => {}),
+      /Event must be open, halfOpen or close/,
+      'Should reject unknown event'
+    );
+  });
+
+  it('throws on missing listener', () => {
+    const c = circuit(1, 60, fakeClock(0));
+    assert.throws(
+      () => c.on('open'),
+      /Listener must be a function/,
+      'Should reject missing listener'
+    );
+  });
 });
@@ -0,0 +1,44 @@
+import assert from 'node:assert';
+import { describe, it } from 'mocha';
+import { encode as encodeCbor } from 'cbor-x';
+import { encode as encodeMsgpack } from '@msgpack/msgpack';
+import decoders from '../src/decoders.js';
+
+describe('decoders', () => {
+  it('decodes json payload', () => {
+    const value = { name: `\u00e9\u00f1${Math.random()}`, value: Math.random() };
+    assert.deepStrictEqual(decoders.json(Buffer.from(JSON.stringify(value))), value, 'Should parse JSON');
+  });
+
+  it('throws on invalid json payload', () => {
+    assert.throws(() => decoders.json(Buffer.from(`{\u4e2d`)), SyntaxError, 'Should reject invalid JSON');
+  });
+
+  it('decodes text payload', () => {
+    const text = `\u0422\u0435\u0441\u0442${Math.random()}`;
+    assert.strictEqual(decoders.text(Buffer.from(text)), text, 'Should decode UTF-8 text');
+  });
+
+  it('passes raw payload through', () => {
+    const payload = Buffer.from([0xff, 0x00, Math.floor(Math.random() * 256)]);
+    assert.strictEqual(decoders.raw(payload), payload, 'Should return buffer unchanged');
+  });
+
+  it('decodes cbor payload', () => {
+    const value = { id: `\u3042${Math.random()}`, readings: [1, 2, 3] };
+    assert.deepStrictEqual(decoders.cbor(Buffer.from(encodeCbor(value))), value, 'Should decode CBOR');
+  });
+
+  it('throws on truncated cbor payload', () => {
+    assert.throws(() => decoders.cbor(Buffer.from([0x82, 0x01])), 'Should reject truncated CBOR');
+  });
+
+  it('decodes msgpack payload', () => {
+    const value = { id: `\u00df${Math.random()}`, ok: true };
+    assert.deepStrictEqual(decoders.msgpack(Buffer.from(encodeMsgpack(value))), value, 'Should decode MessagePack');
+  });
+
+  it('throws on invalid msgpack payload', () => {
+    assert.throws(() => decoders.msgpack(Buffer.from([0xc1])), 'Should reject invalid MessagePack');
+  });
+});
@@ -0,0 +1,108 @@
+import assert from 'node:assert';
+import { EventEmitter } from 'node:events';
+import { describe, it } from 'mocha';
+import deferredAcks from '../src/deferredAcks.js';
+
+/**
+ * Stub of the mqtt.js client internals used for manual acknowledgement.
+ *
+ * @returns {object} Client with handleMessage(), _sendPacket(), and sent PUBACK ids
+ */
+function stubClient() {
+  const client = new EventEmitter();
+  client.sent = [];
+  client.handleMessage = (packet, callback) => callback();
+  client['_sendPacket'] = (packet) => {
+    client.sent.push(packet);
+  };
+  return client;
+}
+
+/**
+ * Delivers a QoS 1 message through the replaced handleMessage hook.
+ *
+ * @param {object} client - Stub client
+ * @param {number} messageId - Packet id
+ * @returns {*} Value mqtt.js would receive through the callback
+ */
+function deliver(client, messageId) {
+  let result;
+  client.handleMessage({ cmd: 'publish', qos: 1, messageId }, (err) => {
+    result = err;
+  });
+  return result;
+}
+
+describe('deferredAcks', () => {
+  it('holds PUBACKs until the flush resolves true', async () => {
+    const client = stubClient();
+    let finish = null;
+    const collector = { flush: () => new Promise((resolve) => { finish = resolve; }) };
+    const acks = deferredAcks(client, collector, 0.005);
+    const id = Math.floor(Math.random() * 1000) + 1;
+    const err = deliver(client, id);
+    deliver(client, id + 1);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    const before = client.sent.length;
+    finish(true);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    acks.cancel();
+    assert.strictEqual(err instanceof Error, true, 'Should keep mqtt.js from sending its own PUBACK');
+    assert.strictEqual(before, 0, 'Should not acknowledge before the flush');
+    assert.deepStrictEqual(client.sent, [
+      { cmd: 'puback', messageId: id },
+      { cmd: 'puback', messageId: id + 1 }
+    ], 'Should acknowledge after the flush');
+  });
+
+  it('sends no PUBACK when the flush is not delivered', async () => {
+    const client = stubClient();
+    const collector = { flush: async () => false };
+    const acks = deferredAcks(client, collector, 0.005);
+    deliver(client, Math.floor(Math.random() * 1000) + 1);
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    acks.cancel();
+    assert.deepStrictEqual(client.sent, [], 'Should keep PUBACK held');
+  });
+
+  it('sends no PUBACK when the flush rejects', async () => {
+    const client = stubClient();
+    const collector = { flush: async () => { throw new Error(`\u00e9${Math.random()}`); } };
+    const acks = deferredAcks(client, collector, 0.005);
+    deliver(client, Math.floor(Math.random() * 1000) + 1);
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    acks.cancel();
+    assert.deepStrictEqual(client.sent, [], 'Should keep PUBACK held');
+  });
+
+  it('passes QoS 0 messages through', () => {
+    const client = stubClient();
+    const acks = deferredAcks(client, { flush: async () => true }, 60);
+    let result = 'pending';
+    client.handleMessage({ cmd: 'publish', qos: 0 }, (err) => {
+      result = err;
+    });
+    acks.cancel();
+    assert.strictEqual(result, undefined, 'Should let mqtt.js handle QoS 0');
+  });
+
+  it('forgets held ids when the connection closes', async () => {
+    const client = stubClient();
+    const acks = deferredAcks(client, { flush: async () => true }, 0.005);
+    deliver(client, Math.floor(Math.random() * 1000) + 1);
+    client.emit('close');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    acks.cancel();
+    assert.deepStrictEqual(client.sent, [], 'Should not acknowledge on a new session');
+  });
+
+  it('throws on client without mqtt.js internals', () => {
+    const client = new EventEmitter();
+    client.handleMessage = () => {};
+    assert.throws(
+      () => deferredAcks(client, { flush: async () => true }, 1),
+      /Manual acknowledgement requires an mqtt.js 5 client/,
+      'Should reject client without _sendPacket'
+    );
+  });
+});
@@ -0,0 +1,53 @@
+import assert from 'node:assert';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import fileCheckpoint from '../src/fileCheckpoint.js';
+
+describe('fileCheckpoint', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'checkpoint-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('loads null when file is missing', async () => {
+    const checkpoint = fileCheckpoint(path.join(dir, `\u00e9${Math.random()}.json`));
+    assert.strictEqual(await checkpoint.load(), null, 'Should have no position');
+  });
+
+  it('persists position across instances', async () => {
+    const file = path.join(dir, 'poll.json');
+    const until = Math.floor(Math.random() * 1000000);
+    await fileCheckpoint(file).save(until);
+    assert.strictEqual(await fileCheckpoint(file).load(), until, 'Should read saved position');
+  });
+
+  it('applies concurrent saves in call order', async () => {
+    const file = path.join(dir, 'poll.json');
+    const checkpoint = fileCheckpoint(file);
+    const count = Math.floor(Math.random() * 5) + 3;
+    await Promise.all(Array.from({ length: count }, (_, i) => checkpoint.save(i)));
+    assert.strictEqual(await checkpoint.load(), count - 1, 'Should keep last position');
+    assert.deepStrictEqual(await fs.readdir(dir), ['poll.json'], 'Should leave no temporary file');
+  });
+
+  it('rejects file without position', async () => {
+    const file = path.join(dir, 'poll.json');
+    await fs.writeFile(file, JSON.stringify({ other: Math.random() }));
+    await assert.rejects(fileCheckpoint(file).load(), /Checkpoint file has no position/);
+  });
+
+  it('throws on missing file name', () => {
+    assert.throws(
+      () => fileCheckpoint(''),
+      /File must be a non-empty string/,
+      'Should reject empty file name'
+    );
+  });
+});
@@ -0,0 +1,37 @@
+import assert from 'node:assert';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import fileSink from '../src/fileSink.js';
+
+describe('fileSink', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-sink-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('appends records as JSON lines', async () => {
+    const file = path.join(dir, 'dead.jsonl');
+    const sink = fileSink(file);
+    const first = [{ v: `\u00e9${Math.random()}` }];
+    const second = [{ v: `\u4e2d${Math.random()}` }, { v: Math.random() }];
+    await sink.write(first);
+    await sink.write(second);
+    const lines = (await fs.readFile(file, 'utf8')).trim().split('\n').map((line) => JSON.parse(line));
+    assert.deepStrictEqual(lines, [...first, ...second], 'Should append records in order');
+  });
+
+  it('throws on empty file', () => {
+    assert.throws(
+      () => fileSink(''),
+      /File must be a non-empty string/,
+      'Should reject empty file'
+    );
+  });
+});
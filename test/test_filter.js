@@ -0,0 +1,30 @@
+import assert from 'node:assert';
+import { describe, it } from 'mocha';
+import filter from '../src/filter.js';
+import recorder from './recorder.js';
+
+describe('filter', () => {
+  it('forwards only matching records', () => {
+    const next = recorder();
+    const f = filter((r) => r.keep, next);
+    f.accept({ keep: true, v: `\u00e9${Math.random()}` });
+    f.accept({ keep: false, v: Math.random() });
+    assert.strictEqual(next.calls.accepted.length, 1, 'Should forward matching record only');
+  });
+
+  it('routes thrown errors to error handler', () => {
+    const next = recorder();
+    const errors = [];
+    const f = filter((r) => r.nested.flag, next, (err) => errors.push(err));
+    f.accept({ v: Math.random() });
+    assert.strictEqual(errors.length, 1, 'Should route predicate error');
+  });
+
+  it('throws on missing predicate', () => {
+    assert.throws(
+      () => filter(undefined, recorder()),
+      /Predicate must be a function/,
+      'Should reject missing predicate'
+    );
+  });
+});
@@ -0,0 +1,31 @@
+import assert from 'node:assert';
+import { describe, it } from 'mocha';
+import filterAsync from '../src/filterAsync.js';
+import recorder from './recorder.js';
+
+describe('filterAsync', () => {
+  it('forwards only matching records', async () => {
+    const next = recorder();
+    const f = filterAsync(async (r) => r.keep, next);
+    f.accept({ keep: false, v: Math.random() });
+    f.accept({ keep: true, v: `\u00df${Math.random()}` });
+    await f.flush();
+    assert.strictEqual(next.calls.accepted.length, 1, 'Should forward matching record only');
+  });
+
+  it('routes rejections to error handler', async () => {
+    const next = recorder();
+    const errors = [];
+    const f = filterAsync(async () => { throw new Error('\u00f8'); }, next, (err) => errors.push(err));
+    await f.accept({ v: Math.random() });
+    assert.strictEqual(errors.length, 1, 'Should route rejection');
+  });
+
+  it('throws on missing predicate', () => {
+    assert.throws(
+      () => filterAsync(null, recorder()),
+      /Predicate must be a function/,
+      'Should reject missing predicate'
+    );
+  });
+});
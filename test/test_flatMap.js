@@ -0,0 +1,38 @@
+import assert from 'node:assert';
+import { describe, it } from 'mocha';
+import flatMap from '../src/flatMap.js';
+import recorder from './recorder.js';
+
+describe('flatMap', () => {
+  it('forwards every produced record in order', () => {
+    const next = recorder();
+    const f = flatMap((r) => r.items, next);
+    const count = Math.floor(Math.random() * 5) + 1;
+    const items = Array.from({ length: count }, (_, i) => ({ id: `\u3042${i}` }));
+    f.accept({ items });
+    assert.deepStrictEqual(next.calls.accepted, items, 'Should forward items in order');
+  });
+
+  it('forwards nothing for empty result', () => {
+    const next = recorder();
+    const f = flatMap(() => [], next);
+    f.accept({ v: Math.random() });
+    assert.strictEqual(next.calls.accepted.length, 0, 'Should forward nothing');
+  });
+
+  it('routes thrown errors to error handler', () => {
+    const next = recorder();
+    const errors = [];
+    const f = flatMap((r) => r.items, next, (err) => errors.push(err));
+    f.accept({ v: Math.random() });
+    assert.strictEqual(errors.length, 1, 'Should route non-iterable result error');
+  });
+
+  it('throws on missing mapper', () => {
+    assert.throws(
+      () => flatMap(null, recorder()),
+      /Mapper must be a function/,
+      'Should reject missing mapper'
+    );
+  });
+});
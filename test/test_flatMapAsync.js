@@ -0,0 +1,34 @@
+import assert from 'node:assert';
+import { describe, it } from 'mocha';
+import flatMapAsync from '../src/flatMapAsync.js';
+import recorder from './recorder.js';
+
+describe('flatMapAsync', () => {
+  it('forwards produced records in arrival order', async () => {
+    const next = recorder();
+    const f = flatMapAsync(async (r) => {
+      await new Promise((resolve) => setTimeout(resolve, r.delay));
+      return [`${r.id}a`, `${r.id}b`];
+    }, next);
+    f.accept({ id: 0, delay: 20 });
+    f.accept({ id: 1, delay: 0 });
+    await f.flush();
+    assert.deepStrictEqual(next.calls.accepted, ['0a', '0b', '1a', '1b'], 'Should keep arrival order');
+  });
+
+  it('routes rejections to error handler', async () => {
+    const next = recorder();
+    const errors = [];
+    const f = flatMapAsync(async () => { throw new Error(`\u0436${Math.random()}`); }, next, (err) => errors.push(err));
+    await f.accept({ v: Math.random() });
+    assert.strictEqual(errors.length, 1, 'Should route rejection');
+  });
+
+  it('throws on missing mapper', () => {
+    assert.throws(
+      () => flatMapAsync(null, recorder()),
+      /Mapper must be a function/,
+      'Should reject missing mapper'
+    );
+  });
+});
@@ -0,0 +1,175 @@
+import assert from 'node:assert';
+import { gunzipSync } from 'node:zlib';
+import { describe, it } from 'mocha';
+import protobuf from 'protobufjs';
+import SnappyJS from 'snappyjs';
+import lokiSink from '../src/lokiSink.js';
+
+const PushRequest = protobuf.Root.fromJSON({
+  nested: {
+    PushRequest: { fields: { streams: { rule: 'repeated', type: 'StreamAdapter', id: 1 } } },
+    StreamAdapter: { fields: { labels: { type: 'string', id: 1 }, entries: { rule: 'repeated', type: 'EntryAdapter', id: 2 } } },
+    EntryAdapter: { fields: { timestamp: { type: 'Timestamp', id: 1 }, line: { type: 'string', id: 2 } } },
+    Timestamp: { fields: { seconds: { type: 'int64', id: 1 }, nanos: { type: 'int32', id: 2 } } }
+  }
+}).lookupType('PushRequest');
+
+/**
+ * Replaces global fetch with a fake Loki push endpoint.
+ *
+ * @param {number} [status] - Response status (default 204)
+ * @param {string} [text] - Response body
+ * @param {object} [headers] - Response headers
+ * @returns {object} Fake with requests and restore()
+ */
+function fakePush(status = 204, text = '', headers = {}) {
+  const original = globalThis.fetch;
+  const requests = [];
+  globalThis.fetch = async (address, init) => {
+    requests.push({ address, ...init });
+    return new Response(status === 204 ? null : text, { status, headers });
+  };
+  return {
+    requests,
+    restore() {
+      globalThis.fetch = original;
+    }
+  };
+}
+
+describe('lokiSink', () => {
+  it('pushes gzip json streams grouped by labels and sorted', async () => {
+    const loki = fakePush();
+    const sink = lokiSink('http://loki', (r) => ({ app: 'bridge', device: r.device }), (r) => `v=${r.value}`);
+    const value = Math.random();
+    try {
+      await sink.write([
+        { device: 'a', value, ns: '1700000000000000002' },
+        { device: 'b', value: 1, ns: '1700000000000000001' },
+        { device: 'a', value: 2, ns: '1700000000000000001' }
+      ]);
+    } finally {
+      loki.restore();
+    }
+    const request = loki.requests[0];
+    assert.strictEqual(request.address, 'http://loki/loki/api/v1/push', 'Should post to push endpoint');
+    assert.strictEqual(request.headers['Content-Encoding'], 'gzip', 'Should gzip payload');
+    assert.deepStrictEqual(JSON.parse(gunzipSync(request.body).toString()), {
+      streams: [
+        { stream: { app: 'bridge', device: 'a' }, values: [['1700000000000000001', 'v=2'], ['1700000000000000002', `v=${value}`]] },
+        { stream: { app: 'bridge', device: 'b' }, values: [['1700000000000000001', 'v=1']] }
+      ]
+    }, 'Should group and sort entries');
+  });
+
+  it('pushes snappy protobuf payload', async () => {
+    const loki = fakePush();
+    const line = `\u00e9${Math.random()}`;
+    const sink = lokiSink('http://loki', () => ({ app: 'say "hi"' }), (r) => r.line, { encoding: 'protobuf' });
+    try {
+      await sink.write([{ line, ts: 1700000000123.456 }]);
+    } finally {
+      loki.restore();
+    }
+    const request = loki.requests[0];
+    assert.strictEqual(request.headers['Content-Type'], 'application/x-protobuf', 'Should send protobuf');
+    const message = PushRequest.toObject(PushRequest.decode(SnappyJS.uncompress(request.body)), { longs: Number });
+    assert.deepStrictEqual(message, {
+      streams: [{ labels: '{app="say \\"hi\\""}', entries: [{ timestamp: { seconds: 1700000000, nanos: 123456000 }, line }] }]
+    }, 'Should encode push request');
+  });
+
+  it('rejects out of order entries with code', async () => {
+    const loki = fakePush(400, 'entry with timestamp 2024 ignored, reason: \'entry out of order\'');
+    const sink = lokiSink('http://loki', () => ({ app: 'x' }), () => 'line');
+    try {
+      await assert.rejects(sink.write([{ ts: Math.random() }]), (err) => err.code === 'OUT_OF_ORDER' && err.status === 400);
+    } finally {
+      loki.restore();
+    }
+  });
+
+  it('rejects rate limiting with code and retry after', async () => {
+    const retry = Math.floor(Math.random() * 60) + 1;
+    const loki = fakePush(429, 'Ingestion rate limit exceeded', { 'Retry-After': `${retry}` });
+    const sink = lokiSink('http://loki', () => ({ app: 'x' }), () => 'line');
+    try {
+      await assert.rejects(sink.write([{}]), (err) => err.code === 'RATE_LIMITED' && err.retryAfter === retry);
+    } finally {
+      loki.restore();
+    }
+  });
+
+  it('rejects other failures as push failures', async () => {
+    const loki = fakePush(500, `\u4e2d${Math.random()}`);
+    const sink = lokiSink('http://loki', () => ({ app: 'x' }), () => 'line');
+    try {
+      await assert.rejects(sink.write([{}]), (err) => err.code === 'PUSH_FAILED' && /status 500/.test(err.message));
+    } finally {
+      loki.restore();
+    }
+  });
+
+  it('sends tenant and authorization', async () => {
+    const loki = fakePush();
+    const tenant = `team${Math.random()}`;
+    const sink = lokiSink('http://loki', () => ({ app: 'x' }), () => 'line', { tenant, username: 'u', password: 'p' });
+    try {
+      await sink.write([{}]);
+    } finally {
+      loki.restore();
+    }
+    const { headers } = loki.requests[0];
+    assert.strictEqual(headers['X-Scope-OrgID'], tenant, 'Should send tenant');
+    assert.strictEqual(headers.Authorization, `Basic ${Buffer.from('u:p').toString('base64')}`, 'Should send basic auth');
+    assert.strictEqual(headers['Content-Encoding'], 'gzip', 'Should keep payload headers');
+  });
+
+  it('skips empty writes', async () => {
+    const loki = fakePush();
+    const sink = lokiSink('http://loki', () => ({ app: 'x' }), () => 'line');
+    try {
+      await sink.write([]);
+    } finally {
+      loki.restore();
+    }
+    assert.strictEqual(loki.requests.length, 0, 'Should not push empty batch');
+  });
+
+  it('rejects records without labels', async () => {
+    const sink = lokiSink('http://loki', () => ({}), () => 'line');
+    await assert.rejects(sink.write([{ v: Math.random() }]), /Labels function must return a non-empty object/);
+  });
+
+  it('throws on missing url', () => {
+    assert.throws(
+      () => lokiSink(null, () => ({}), () => ''),
+      /URL must be a non-empty string/,
+      'Should reject missing url'
+    );
+  });
+
+  it('throws on missing labels function', () => {
+    assert.throws(
+      () => lokiSink('http://loki', null, () => ''),
+      /Labels function must be a function/,
+      'Should reject missing labels function'
+    );
+  });
+
+  it('throws on missing line function', () => {
+    assert.throws(
+      () => lokiSink('http://loki', () => ({}), `\u00df${Math.random()}`),
+      /Line function must be a function/,
+      'Should reject missing line function'
+    );
+  });
+
+  it('throws on unknown encoding', () => {
+    assert.throws(
+      () => lokiSink('http://loki', () => ({}), () => '', { encoding: 'xml' }),
+      /Encoding must be json or protobuf/,
+      'Should reject unknown encoding'
+    );
+  });
+});
@@ -3,6 +3,49 @@ import { describe, it } from 'mocha';
 import lokiSource from '../src/lokiSource.js';
 import fakeClock from './fakeClock.js';
 
+/**
+ * Replaces global fetch with a fake Loki answering query_range calls.
+ *
+ * @param {function} respond - Function(params, call) returning [ts, line] pairs or streams
+ * @returns {object} Fake with requests and restore()
+ */
+function fakeLoki(respond) {
+  const original = globalThis.fetch;
+  const requests = [];
+  globalThis.fetch = async (address, init) => {
+    const params = new URL(address).searchParams;
+    params.init = init;
+    requests.push(params);
+    const answer = respond(params, requests.length);
+    const result = answer.length > 0 && !Array.isArray(answer[0]) ? answer : [{ stream: { app: 'test' }, values: answer }];
+    return { ok: true, status: 200, json: async () => ({ data: { result } }) };
+  };
+  return {
+    requests,
+    restore() {
+      globalThis.fetch = original;
+    }
+  };
+}
+
+/**
+ * Runs a source until the given number of polls has happened.
+ *
+ * @param {object} source - Source with start() and stop()
+ * @param {object} loki - Fake Loki from fakeLoki()
+ * @param {object} clk - Fake clock advanced before each poll
+ * @param {number} calls - Requests to wait for
+ */
+async function run(source, loki, clk, calls) {
+  source.start();
+  while (loki.requests.length < calls) {
+    clk.advance(1000);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  source.stop();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+}
+
 describe('lokiSource', () => {
   it('throws on missing url', () => {
     const collector = { accept: () => {} };
@@ -69,4 +112,349 @@ describe('lokiSource', () => {
     assert.strictEqual(typeof source.start, 'function', 'Should have start method');
     assert.strictEqual(typeof source.stop, 'function', 'Should have stop method');
   });
+
+  it('pages through a window oldest first', async () => {
+    const received = [];
+    const loki = fakeLoki((params, call) => {
+      if (call === 1) {
+        return [['1000000000001', 'a'], ['1000000000002', 'b']];
+      }
+      return [['1000000000002', 'b'], ['1000000000003', '\u00e9']];
+    });
+    const clk = fakeClock(1000000);
+    const source = lokiSource('http://loki', '{app="test"}', 0.001, { accept: (r) => received.push(r) }, clk, { pageSize: 2 });
+    try {
+      await run(source, loki, clk, 2);
+    } finally {
+      loki.restore();
+    }
+    assert.deepStrictEqual(received.slice(0, 3).map((r) => r.line), ['a', 'b', '\u00e9'], 'Should skip boundary duplicate');
+    assert.strictEqual(loki.requests[0].get('direction'), 'forward', 'Should read oldest first');
+    assert.strictEqual(loki.requests[0].get('limit'), '2', 'Should request page size');
+    assert.strictEqual(loki.requests[1].get('start'), '1000000000002', 'Should start next page at last timestamp');
+    assert.strictEqual(loki.requests[1].get('end'), loki.requests[0].get('end'), 'Should keep window end');
+  });
+
+  it('keeps distinct entries sharing the boundary nanosecond', async () => {
+    const received = [];
+    const line = `\u4e2d${Math.random()}`;
+    const loki = fakeLoki((params, call) => {
+      if (call === 1) {
+        return [['1000000000001', 'a'], ['1000000000005', line]];
+      }
+      return [
+        { stream: { app: 'test' }, values: [['1000000000005', line]] },
+        { stream: { app: 'other' }, values: [['1000000000005', line]] }
+      ];
+    });
+    const clk = fakeClock(1000000);
+    const source = lokiSource('http://loki', '{app=~".+"}', 0.001, { accept: (r) => received.push(r) }, clk, { pageSize: 2 });
+    try {
+      await run(source, loki, clk, 2);
+    } finally {
+      loki.restore();
+    }
+    assert.deepStrictEqual(received.slice(0, 3).map((r) => r.line), ['a', line, line], 'Should keep entry of other stream');
+  });
+
+  it('resumes from last page on next poll after max pages', async () => {
+    const received = [];
+    const loki = fakeLoki((params, call) => {
+      if (call === 1) {
+        return [['1000000000001', 'a'], ['1000000000002', 'b']];
+      }
+      return call === 2 ? [['1000000000002', 'b']] : [];
+    });
+    const clk = fakeClock(1000000);
+    const source = lokiSource('http://loki', '{app="test"}', 0.001, { accept: (r) => received.push(r) }, clk, {
+      pageSize: 2,
+      maxPages: 1
+    });
+    try {
+      await run(source, loki, clk, 2);
+    } finally {
+      loki.restore();
+    }
+    assert.strictEqual(loki.requests[1].get('start'), '1000000000002', 'Should resume from last timestamp');
+    assert.deepStrictEqual(received.map((r) => r.line), ['a', 'b'], 'Should not repeat resumed entries');
+  });
+
+  it('throws on invalid page size', () => {
+    const collector = { accept: () => {} };
+    assert.throws(
+      () => lokiSource('http://localhost:3100', '{app="test"}', 10, collector, fakeClock(0), { pageSize: Math.random() + 0.1 }),
+      /Page size must be a positive integer/,
+      'Should reject invalid page size'
+    );
+  });
+
+  it('throws on invalid max pages', () => {
+    const collector = { accept: () => {} };
+    assert.throws(
+      () => lokiSource('http://localhost:3100', '{app="test"}', 10, collector, fakeClock(0), { maxPages: 0 }),
+      /Max pages must be a positive integer/,
+      'Should reject invalid max pages'
+    );
+  });
+
+  it('keeps labels, metadata and exact nanosecond timestamp', async () => {
+    const received = [];
+    const ns = `1700000000${Math.floor(Math.random() * 1000000000).toString().padStart(9, '0')}`;
+    const loki = fakeLoki((params, call) => (call === 1
+      ? [{ stream: { app: 'traefik', host: '\u00e9' }, values: [[ns, 'a', { trace_id: 'abc' }], [ns, 'b']] }]
+      : []));
+    const clk = fakeClock(1000000);
+    const source = lokiSource('http://loki', '{app="traefik"}', 0.001, { accept: (r) => received.push(r) }, clk);
+    try {
+      await run(source, loki, clk, 1);
+    } finally {
+      loki.restore();
+    }
+    assert.deepStrictEqual(received[0], {
+      ts: Number(BigInt(ns)) / 1000000,
+      ns,
+      labels: { app: 'traefik', host: '\u00e9' },
+      line: 'a',
+      metadata: { trace_id: 'abc' }
+    }, 'Should keep labels, metadata and nanoseconds');
+    assert.strictEqual(Object.hasOwn(received[1], 'metadata'), false, 'Should omit missing metadata');
+  });
+
+  it('reads categorized structured metadata', async () => {
+    const received = [];
+    const loki = fakeLoki((params, call) => (call === 1
+      ? [['1000000000001', 'a', { structuredMetadata: { pod: '\u4e2d' }, parsed: { level: 'info' } }]]
+      : []));
+    const clk = fakeClock(1000000);
+    const source = lokiSource('http://loki', '{app="test"}', 0.001, { accept: (r) => received.push(r) }, clk);
+    try {
+      await run(source, loki, clk, 1);
+    } finally {
+      loki.restore();
+    }
+    assert.deepStrictEqual(received[0].metadata, { pod: '\u4e2d' }, 'Should read structuredMetadata');
+  });
+
+  it('parses lines with named parser and reports failures', async () => {
+    const received = [];
+    const errors = [];
+    const status = Math.floor(Math.random() * 500);
+    const loki = fakeLoki((params, call) => (call === 1
+      ? [['1000000000001', JSON.stringify({ DownstreamStatus: status })], ['1000000000002', 'not json']]
+      : []));
+    const clk = fakeClock(1000000);
+    const source = lokiSource('http://loki', '{app="test"}', 0.001, { accept: (r) => received.push(r) }, clk, {
+      parser: 'json',
+      onError: (err, entry) => errors.push(entry.line)
+    });
+    try {
+      await run(source, loki, clk, 1);
+    } finally {
+      loki.restore();
+    }
+    assert.deepStrictEqual(received.map((r) => r.fields), [{ DownstreamStatus: status }], 'Should add parsed fields');
+    assert.deepStrictEqual(errors, ['not json'], 'Should report unparsable line');
+  });
+
+  it('parses lines with custom parser', async () => {
+    const received = [];
+    const loki = fakeLoki((params, call) => (call === 1 ? [['1000000000001', 'a b']] : []));
+    const clk = fakeClock(1000000);
+    const source = lokiSource('http://loki', '{app="test"}', 0.001, { accept: (r) => received.push(r) }, clk, {
+      parser: (line) => ({ words: line.split(' ') })
+    });
+    try {
+      await run(source, loki, clk, 1);
+    } finally {
+      loki.restore();
+    }
+    assert.deepStrictEqual(received[0].fields, { words: ['a', 'b'] }, 'Should use custom parser');
+  });
+
+  it('throws on unknown parser', () => {
+    const collector = { accept: () => {} };
+    assert.throws(
+      () => lokiSource('http://localhost:3100', '{app="test"}', 10, collector, fakeClock(0), { parser: 'constructor' }),
+      /Parser must be json, logfmt or a function/,
+      'Should reject unknown parser'
+    );
+  });
+
+  it('sends tenant, authorization and custom headers with timeout signal', async () => {
+    const loki = fakeLoki(() => []);
+    const clk = fakeClock(1000000);
+    const tenant = `team-\u00e9${Math.random()}`;
+    const source = lokiSource('http://loki', '{app="test"}', 0.001, { accept: () => {} }, clk, {
+      tenant,
+      token: 'secret',
+      headers: { 'X-Trace': '1' },
+      timeout: 5
+    });
+    try {
+      await run(source, loki, clk, 1);
+    } finally {
+      loki.restore();
+    }
+    const { headers, signal } = loki.requests[0].init;
+    assert.deepStrictEqual(headers, { 'X-Scope-OrgID': tenant, Authorization: 'Bearer secret', 'X-Trace': '1' }, 'Should send headers');
+    assert.strictEqual(signal instanceof AbortSignal, true, 'Should pass abort signal');
+  });
+
+  it('sends basic authorization', async () => {
+    const loki = fakeLoki(() => []);
+    const clk = fakeClock(1000000);
+    const password = `p\u00e4ss${Math.random()}`;
+    const source = lokiSource('http://loki', '{app="test"}', 0.001, { accept: () => {} }, clk, { username: 'reader', password });
+    try {
+      await run(source, loki, clk, 1);
+    } finally {
+      loki.restore();
+    }
+    const expected = `Basic ${Buffer.from(`reader:${password}`).toString('base64')}`;
+    assert.strictEqual(loki.requests[0].init.headers.Authorization, expected, 'Should send basic auth');
+  });
+
+  it('throws on username without password', () => {
+    const collector = { accept: () => {} };
+    assert.throws(
+      () => lokiSource('http://localhost:3100', '{app="test"}', 10, collector, fakeClock(0), { username: 'reader' }),
+      /Basic auth requires both username and password/,
+      'Should reject incomplete basic auth'
+    );
+  });
+
+  it('throws on basic auth with token', () => {
+    const collector = { accept: () => {} };
+    assert.throws(
+      () => lokiSource('http://localhost:3100', '{app="test"}', 10, collector, fakeClock(0), {
+        username: 'reader',
+        password: 'x',
+        token: `t${Math.random()}`
+      }),
+      /Use either basic auth or a bearer token, not both/,
+      'Should reject two kinds of auth'
+    );
+  });
+
+  it('throws on empty tenant', () => {
+    const collector = { accept: () => {} };
+    assert.throws(
+      () => lokiSource('http://localhost:3100', '{app="test"}', 10, collector, fakeClock(0), { tenant: '' }),
+      /Tenant must be a non-empty string/,
+      'Should reject empty tenant'
+    );
+  });
+
+  it('throws on invalid timeout', () => {
+    const collector = { accept: () => {} };
+    assert.throws(
+      () => lokiSource('http://localhost:3100', '{app="test"}', 10, collector, fakeClock(0), { timeout: -Math.random() }),
+      /Timeout must be a positive number/,
+      'Should reject invalid timeout'
+    );
+  });
+
+  it('reports failed status and reads the window again', async () => {
+    const original = globalThis.fetch;
+    const requests = [];
+    const errors = [];
+    globalThis.fetch = async (address) => {
+      requests.push(new URL(address).searchParams);
+      if (requests.length === 1) {
+        return new Response('too many outstanding requests\n', { status: 429 });
+      }
+      return new Response(JSON.stringify({ data: { result: [] } }), { status: 200 });
+    };
+    const clk = fakeClock(1000000);
+    const source = lokiSource('http://loki', '{app="test"}', 0.001, { accept: () => {} }, clk, {
+      onError: (err) => errors.push(err)
+    });
+    try {
+      await run(source, { requests }, clk, 2);
+    } finally {
+      globalThis.fetch = original;
+    }
+    assert.strictEqual(errors[0].message, 'Loki query failed with status 429: too many outstanding requests', 'Should report status');
+    assert.strictEqual(errors[0].status, 429, 'Should carry status');
+    assert.strictEqual(requests[1].get('start'), requests[0].get('start'), 'Should read failed window again');
+  });
+
+  it('reports timed out query', async () => {
+    const original = globalThis.fetch;
+    const errors = [];
+    globalThis.fetch = (address, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(init.signal.reason));
+    });
+    const clk = fakeClock(1000000);
+    const source = lokiSource('http://loki', '{app="test"}', 0.001, { accept: () => {} }, clk, {
+      timeout: 0.02,
+      onError: (err) => errors.push(err)
+    });
+    try {
+      source.start();
+      await new Promise((resolve) => setTimeout(resolve, 60));
+      source.stop();
+    } finally {
+      globalThis.fetch = original;
+    }
+    assert.strictEqual(errors[0].message, 'Loki query timed out after 0.02s', 'Should report timeout');
+  });
+
+  it('backfills a past range in windows', async () => {
+    const loki = fakeLoki(() => []);
+    const progress = [];
+    const source = lokiSource('http://loki', '{app="test"}', 10, { accept: () => {} }, fakeClock(1000000), {
+      backfill: { from: 1000, to: 3000, window: 1, concurrency: 2, onProgress: (p) => progress.push(p.until) }
+    });
+    try {
+      await source.start();
+      await new Promise((resolve) => setTimeout(resolve, 30));
+      source.stop();
+    } finally {
+      loki.restore();
+    }
+    const windows = loki.requests.map((params) => [params.get('start'), params.get('end')]).sort();
+    assert.deepStrictEqual(windows, [['1000000000', '2000000000'], ['2000000000', '3000000000']], 'Should query each window');
+    assert.deepStrictEqual(progress.slice(-1), [3000], 'Should report completed range');
+  });
+
+  it('drops entries read again by the overlap', async () => {
+    const line = `\u00e9${Math.random()}`;
+    const ts = 1000500000000n;
+    const loki = fakeLoki((params) => (BigInt(params.get('start')) <= ts && ts < BigInt(params.get('end')) ? [[ts.toString(), line]] : []));
+    const received = [];
+    const clk = fakeClock(1000000);
+    const source = lokiSource('http://loki', '{app="test"}', 0.001, { accept: (e) => received.push(e) }, clk, {
+      overlap: 5
+    });
+    try {
+      await run(source, loki, clk, 3);
+    } finally {
+      loki.restore();
+    }
+    const hits = loki.requests.filter((params) => BigInt(params.get('start')) <= ts && ts < BigInt(params.get('end')));
+    assert.strictEqual(hits.length > 1, true, 'Should read entry again in the overlap');
+    assert.deepStrictEqual(received.map((e) => e.line), [line], 'Should forward the entry once');
+  });
+
+  it('continues a full page immediately with an adaptive schedule', async () => {
+    const loki = fakeLoki((params, call) => (call === 1 ? [[params.get('start'), `\u00e9${Math.random()}`]] : []));
+    const clk = fakeClock(1000000);
+    const source = lokiSource('http://loki', '{app="test"}', 10, { accept: () => {} }, clk, {
+      pageSize: 1,
+      maxPages: 1,
+      adaptive: { min: 60, max: 600 }
+    });
+    try {
+      source.start();
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      clk.advance(10000);
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      source.stop();
+    } finally {
+      loki.restore();
+    }
+    assert.strictEqual(loki.requests.length, 2, 'Should read the next page without waiting');
+    assert.strictEqual(loki.requests[1].get('start'), loki.requests[0].get('start'), 'Should continue from the last page');
+  });
 });
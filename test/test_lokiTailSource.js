@@ -0,0 +1,222 @@
+import assert from 'node:assert';
+import { describe, it } from 'mocha';
+import { WebSocketServer } from 'ws';
+import lokiTailSource from '../src/lokiTailSource.js';
+import map from '../src/map.js';
+import mapAsync from '../src/mapAsync.js';
+
+/**
+ * Starts a fake Loki tail endpoint on a random local port.
+ *
+ * @returns {Promise} Promise resolving to a fake with url, requests, sockets, and close()
+ */
+async function fakeTail() {
+  const server = new WebSocketServer({ port: 0 });
+  await new Promise((resolve) => server.on('listening', resolve));
+  const fake = {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests: [],
+    sockets: [],
+    close: () => new Promise((resolve) => {
+      for (const socket of fake.sockets) {
+        socket.terminate();
+      }
+      server.close(resolve);
+    })
+  };
+  server.on('connection', (socket, request) => {
+    const params = new URL(request.url, 'http://loki').searchParams;
+    params.headers = request.headers;
+    fake.requests.push(params);
+    fake.sockets.push(socket);
+  });
+  return fake;
+}
+
+/**
+ * Waits until a condition holds.
+ *
+ * @param {function} condition - Function returning true when done
+ */
+async function until(condition) {
+  while (!condition()) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+describe('lokiTailSource', () => {
+  it('forwards tailed entries with labels', async () => {
+    const fake = await fakeTail();
+    const received = [];
+    const source = lokiTailSource(fake.url, '{app="test"}', { accept: (r) => received.push(r) });
+    try {
+      await source.start();
+      const line = `\u00e9${Math.random()}`;
+      const ns = (BigInt(Date.now()) * 1000000n + 7n).toString();
+      fake.sockets[0].send(JSON.stringify({ streams: [{ stream: { app: 'test' }, values: [[ns, line]] }] }));
+      await until(() => received.length === 1);
+      assert.deepStrictEqual(received[0], { ts: Number(BigInt(ns)) / 1000000, ns, labels: { app: 'test' }, line }, 'Should forward entry');
+      assert.strictEqual(fake.requests[0].get('query'), '{app="test"}', 'Should pass query');
+    } finally {
+      source.stop();
+      await fake.close();
+    }
+  });
+
+  it('resumes from last seen timestamp after reconnect', async () => {
+    const fake = await fakeTail();
+    const received = [];
+    const source = lokiTailSource(fake.url, '{app="test"}', { accept: (r) => received.push(r.line) }, {
+      reconnect: { base: 0.01, cap: 0.01 }
+    });
+    try {
+      await source.start();
+      const ns = (BigInt(Date.now()) * 1000000n + 11n).toString();
+      fake.sockets[0].send(JSON.stringify({ streams: [{ stream: { app: 'test' }, values: [[ns, 'a']] }] }));
+      await until(() => received.length === 1);
+      fake.sockets[0].terminate();
+      await until(() => fake.sockets.length === 2 && fake.sockets[1].readyState === 1);
+      fake.sockets[1].send(JSON.stringify({ streams: [{ stream: { app: 'test' }, values: [[ns, 'a'], [ns, '\u4e2d']] }] }));
+      await until(() => received.length === 2);
+      assert.strictEqual(fake.requests[1].get('start'), ns, 'Should resume from last seen nanosecond');
+      assert.deepStrictEqual(received, ['a', '\u4e2d'], 'Should skip entries already forwarded');
+    } finally {
+      source.stop();
+      await fake.close();
+    }
+  });
+
+  it('reports dropped entries', async () => {
+    const fake = await fakeTail();
+    const dropped = [];
+    const source = lokiTailSource(fake.url, '{app="test"}', { accept: () => {} }, {
+      onDropped: (entries) => dropped.push(...entries)
+    });
+    try {
+      await source.start();
+      const ns = `${Date.now()}000000`;
+      fake.sockets[0].send(JSON.stringify({ streams: [], dropped_entries: [{ labels: { app: '\u00df' }, timestamp: ns }] }));
+      await until(() => dropped.length === 1);
+      assert.deepStrictEqual(dropped, [{ labels: { app: '\u00df' }, ns }], 'Should pass dropped notices');
+    } finally {
+      source.stop();
+      await fake.close();
+    }
+  });
+
+  it('reports entries a map without error handler throws on', async () => {
+    const fake = await fakeTail();
+    const received = [];
+    const errors = [];
+    const next = { accept: (r) => received.push(r), flush: () => true, stop: () => {} };
+    const source = lokiTailSource(fake.url, '{app="test"}', map((r) => JSON.parse(r.line), next), {
+      onError: (err, entry) => errors.push([err.name, entry.line])
+    });
+    try {
+      await source.start();
+      const base = BigInt(Date.now()) * 1000000n;
+      const values = [[`${base + 1n}`, '{"v":"\u00e9"}'], [`${base + 2n}`, 'bad'], [`${base + 3n}`, '{"v":"\u00fc"}']];
+      fake.sockets[0].send(JSON.stringify({ streams: [{ stream: { app: 'test' }, values }] }));
+      await until(() => received.length === 2);
+      assert.deepStrictEqual(received, [{ v: '\u00e9' }, { v: '\u00fc' }], 'Should forward entries after the bad one');
+      assert.deepStrictEqual(errors, [['SyntaxError', 'bad']], 'Should report the bad entry');
+    } finally {
+      source.stop();
+      await fake.close();
+    }
+  });
+
+  it('reports entries an async map without error handler rejects', async () => {
+    const fake = await fakeTail();
+    const received = [];
+    const errors = [];
+    const next = { accept: (r) => received.push(r), flush: () => true, stop: () => {} };
+    const collector = mapAsync(async (r) => JSON.parse(r.line), next);
+    const source = lokiTailSource(fake.url, '{app="test"}', collector, {
+      onError: (err, entry) => errors.push([err.name, entry.line])
+    });
+    try {
+      await source.start();
+      const base = BigInt(Date.now()) * 1000000n;
+      const values = [[`${base + 1n}`, 'bad'], [`${base + 2n}`, '{"v":"\u00e9"}']];
+      fake.sockets[0].send(JSON.stringify({ streams: [{ stream: { app: 'test' }, values }] }));
+      await until(() => received.length === 1 && errors.length === 1);
+      assert.deepStrictEqual(received, [{ v: '\u00e9' }], 'Should forward the good entry');
+      assert.deepStrictEqual(errors, [['SyntaxError', 'bad']], 'Should report the rejected entry');
+    } finally {
+      source.stop();
+      await fake.close();
+    }
+  });
+
+  it('sends tenant and authorization with the handshake', async () => {
+    const fake = await fakeTail();
+    const tenant = `team${Math.random()}`;
+    const source = lokiTailSource(fake.url, '{app="test"}', { accept: () => {} }, { tenant, token: 'secret' });
+    try {
+      await source.start();
+      assert.strictEqual(fake.requests[0].headers['x-scope-orgid'], tenant, 'Should send tenant');
+      assert.strictEqual(fake.requests[0].headers.authorization, 'Bearer secret', 'Should send token');
+    } finally {
+      source.stop();
+      await fake.close();
+    }
+  });
+
+  it('rejects start when stopped before connecting', async () => {
+    const source = lokiTailSource('http://127.0.0.1:1', '{app="test"}', { accept: () => {} }, {
+      reconnect: { base: 0.05, cap: 0.05 }
+    });
+    const ready = source.start();
+    source.stop();
+    await assert.rejects(ready, /Source stopped before the tail was connected/);
+  });
+
+  it('throws on missing url', () => {
+    assert.throws(
+      () => lokiTailSource(null, '{app="test"}', { accept: () => {} }),
+      /URL must be a non-empty string/,
+      'Should reject missing url'
+    );
+  });
+
+  it('throws on empty query', () => {
+    assert.throws(
+      () => lokiTailSource('http://localhost:3100', '', { accept: () => {} }),
+      /Query must be a non-empty string/,
+      'Should reject empty query'
+    );
+  });
+
+  it('throws on missing collector', () => {
+    assert.throws(
+      () => lokiTailSource('http://localhost:3100', '{app="test"}', null),
+      /Collector must have an accept\(\) method/,
+      'Should reject missing collector'
+    );
+  });
+
+  it('throws on invalid delay', () => {
+    assert.throws(
+      () => lokiTailSource('http://localhost:3100', '{app="test"}', { accept: () => {} }, { delayFor: Math.floor(Math.random() * 5) + 6 }),
+      /Delay for must be an integer from 0 to 5/,
+      'Should reject invalid delay'
+    );
+  });
+
+  it('throws on invalid dropped handler', () => {
+    assert.throws(
+      () => lokiTailSource('http://localhost:3100', '{app="test"}', { accept: () => {} }, { onDropped: `\u00e9${Math.random()}` }),
+      /Dropped handler must be a function/,
+      'Should reject invalid dropped handler'
+    );
+  });
+
+  it('throws on reconnect cap below base', () => {
+    assert.throws(
+      () => lokiTailSource('http://localhost:3100', '{app="test"}', { accept: () => {} }, { reconnect: { base: 5, cap: 1 } }),
+      /Reconnect cap must be a number not less than base/,
+      'Should reject cap below base'
+    );
+  });
+});
@@ -0,0 +1,71 @@
+import assert from 'node:assert';
+import { describe, it } from 'mocha';
+import map from '../src/map.js';
+import recorder from './recorder.js';
+
+describe('map', () => {
+  it('forwards transformed records', () => {
+    const next = recorder();
+    const m = map((r) => ({ value: r.value * 2 }), next);
+    const value = Math.random();
+    m.accept({ value });
+    assert.deepStrictEqual(next.calls.accepted, [{ value: value * 2 }], 'Should forward mapped record');
+  });
+
+  it('routes thrown errors to error handler', () => {
+    const next = recorder();
+    const errors = [];
+    const m = map((r) => JSON.parse(r.payload), next, (err, record) => errors.push({ err, record }));
+    const record = { payload: `\u00e9${Math.random()}` };
+    m.accept(record);
+    assert.strictEqual(next.calls.accepted.length, 0, 'Should drop failing record');
+    assert.strictEqual(errors[0].record, record, 'Should pass record to error handler');
+  });
+
+  it('rethrows mapper errors without error handler', () => {
+    const next = recorder();
+    const m = map(() => { throw new Error('\u4e2d'); }, next);
+    assert.throws(() => m.accept({ v: Math.random() }), /\u4e2d/, 'Should rethrow by default');
+  });
+
+  it('propagates downstream errors past the error handler', () => {
+    const next = recorder();
+    next.accept = () => { throw new Error(`\u00e9${Math.random()}`); };
+    const errors = [];
+    const m = map((r) => r, next, (err) => errors.push(err));
+    assert.throws(() => m.accept({ v: Math.random() }), /\u00e9/, 'Should throw downstream error');
+    assert.deepStrictEqual(errors, [], 'Should not pass downstream error to handler');
+  });
+
+  it('delegates flush and stop', () => {
+    const next = recorder();
+    const m = map((r) => r, next);
+    m.flush();
+    m.stop();
+    assert.deepStrictEqual([next.calls.flushed, next.calls.stopped], [1, 1], 'Should delegate flush and stop');
+  });
+
+  it('throws on missing mapper', () => {
+    assert.throws(
+      () => map(null, recorder()),
+      /Mapper must be a function/,
+      'Should reject missing mapper'
+    );
+  });
+
+  it('throws on invalid next collector', () => {
+    assert.throws(
+      () => map((r) => r, { accept: () => {} }),
+      /Next must have accept\(\), flush\(\) and stop\(\) methods/,
+      'Should reject invalid next collector'
+    );
+  });
+
+  it('throws on invalid error handler', () => {
+    assert.throws(
+      () => map((r) => r, recorder(), `\u00fc${Math.random()}`),
+      /Error handler must be a function/,
+      'Should reject invalid error handler'
+    );
+  });
+});
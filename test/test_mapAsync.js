@@ -0,0 +1,80 @@
+import assert from 'node:assert';
+import { describe, it } from 'mocha';
+import mapAsync from '../src/mapAsync.js';
+import recorder from './recorder.js';
+
+describe('mapAsync', () => {
+  it('forwards transformed records in arrival order', async () => {
+    const next = recorder();
+    const m = mapAsync(async (r) => {
+      await new Promise((resolve) => setTimeout(resolve, r.delay));
+      return r.id;
+    }, next);
+    m.accept({ id: 0, delay: 20 });
+    m.accept({ id: 1, delay: 0 });
+    await m.flush();
+    assert.deepStrictEqual(next.calls.accepted, [0, 1], 'Should keep arrival order');
+  });
+
+  it('flushes next only after queued records', async () => {
+    const next = recorder();
+    let flushedWith = null;
+    next.flush = () => { flushedWith = next.calls.accepted.length; };
+    const m = mapAsync(async (r) => r, next);
+    const count = Math.floor(Math.random() * 5) + 1;
+    for (let i = 0; i < count; i++) {
+      m.accept({ v: `\u00e9${i}` });
+    }
+    await m.flush();
+    assert.strictEqual(flushedWith, count, 'Should forward queued records before flush');
+  });
+
+  it('routes rejections to error handler', async () => {
+    const next = recorder();
+    const errors = [];
+    const m = mapAsync(async () => { throw new Error(`\u4e2d${Math.random()}`); }, next, (err, record) => errors.push(record));
+    const record = { v: Math.random() };
+    await m.accept(record);
+    assert.deepStrictEqual(errors, [record], 'Should pass failing record');
+    assert.strictEqual(next.calls.accepted.length, 0, 'Should drop failing record');
+  });
+
+  it('rejects accept on downstream error and keeps handling later records', async () => {
+    const next = recorder();
+    const accept = next.accept;
+    next.accept = (record) => {
+      if (record === 'bad') {
+        throw new Error(`\u00e9${Math.random()}`);
+      }
+      return accept(record);
+    };
+    const errors = [];
+    const m = mapAsync(async (r) => r, next, (err) => errors.push(err));
+    await assert.rejects(m.accept('bad'), /\u00e9/);
+    await m.accept('good');
+    assert.deepStrictEqual(next.calls.accepted, ['good'], 'Should forward later records');
+    assert.deepStrictEqual(errors, [], 'Should not pass downstream error to handler');
+  });
+
+  it('rejects accept on mapper error without error handler', async () => {
+    const m = mapAsync(async () => { throw new Error(`\u4e2d${Math.random()}`); }, recorder());
+    await assert.rejects(m.accept({ v: Math.random() }), /\u4e2d/);
+  });
+
+  it('discards results completing after stop', async () => {
+    const next = recorder();
+    const m = mapAsync(async (r) => r, next);
+    const pending = m.accept({ v: Math.random() });
+    m.stop();
+    await pending;
+    assert.strictEqual(next.calls.accepted.length, 0, 'Should discard result after stop');
+  });
+
+  it('throws on missing mapper', () => {
+    assert.throws(
+      () => mapAsync(null, recorder()),
+      /Mapper must be a function/,
+      'Should reject missing mapper'
+    );
+  });
+});
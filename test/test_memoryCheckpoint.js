@@ -0,0 +1,18 @@
+import assert from 'node:assert';
+import { describe, it } from 'mocha';
+import memoryCheckpoint from '../src/memoryCheckpoint.js';
+
+describe('memoryCheckpoint', () => {
+  it('loads null before any save', async () => {
+    const checkpoint = memoryCheckpoint();
+    assert.strictEqual(await checkpoint.load(), null, 'Should have no position');
+  });
+
+  it('loads the last saved position', async () => {
+    const checkpoint = memoryCheckpoint();
+    const until = Math.floor(Math.random() * 1000000);
+    await checkpoint.save(until - 1);
+    await checkpoint.save(until);
+    assert.strictEqual(await checkpoint.load(), until, 'Should keep last position');
+  });
+});
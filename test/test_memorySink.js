@@ -0,0 +1,21 @@
+import assert from 'node:assert';
+import { describe, it } from 'mocha';
+import memorySink from '../src/memorySink.js';
+
+describe('memorySink', () => {
+  it('keeps written records in order', async () => {
+    const sink = memorySink();
+    const first = [{ v: `\u00e9${Math.random()}` }];
+    const second = [{ v: `\u3042${Math.random()}` }];
+    await sink.write(first);
+    await sink.write(second);
+    assert.deepStrictEqual(sink.records(), [...first, ...second], 'Should keep records in order');
+  });
+
+  it('returns a copy of records', async () => {
+    const sink = memorySink();
+    await sink.write([{ v: Math.random() }]);
+    sink.records().pop();
+    assert.strictEqual(sink.records().length, 1, 'Should not expose internal array');
+  });
+});
@@ -0,0 +1,71 @@
+import assert from 'node:assert';
+import { describe, it } from 'mocha';
+import mqttSink from '../src/mqttSink.js';
+
+describe('mqttSink', () => {
+  it('throws on missing url', () => {
+    assert.throws(
+      () => mqttSink(null, 'topic'),
+      /URL must be a non-empty string/,
+      'Should reject missing url'
+    );
+  });
+
+  it('throws on missing topic template', () => {
+    assert.throws(
+      () => mqttSink('mqtt://localhost:1883', ''),
+      /Topic template must be a non-empty string or a function/,
+      'Should reject empty topic template'
+    );
+  });
+
+  it('throws on invalid qos', () => {
+    assert.throws(
+      () => mqttSink('mqtt://localhost:1883', 'topic', { qos: Math.floor(Math.random() * 10) + 3 }),
+      /QoS must be 0, 1 or 2/,
+      'Should reject invalid qos'
+    );
+  });
+
+  it('throws on invalid retain', () => {
+    assert.throws(
+      () => mqttSink('mqtt://localhost:1883', 'topic', { retain: `\u00e9${Math.random()}` }),
+      /Retain must be a boolean/,
+      'Should reject invalid retain'
+    );
+  });
+
+  it('throws on invalid serializer', () => {
+    assert.throws(
+      () => mqttSink('mqtt://localhost:1883', 'topic', { serializer: 'json' }),
+      /Serializer must be a function/,
+      'Should reject invalid serializer'
+    );
+  });
+
+  it('throws on invalid timeout', () => {
+    assert.throws(
+      () => mqttSink('mqtt://localhost:1883', 'topic', { timeout: -Math.random() }),
+      /Timeout must be a positive number/,
+      'Should reject invalid timeout'
+    );
+  });
+
+  it('rejects record without topic field', async () => {
+    const sink = mqttSink('mqtt://127.0.0.1:1', 'devices/{device}/status');
+    await assert.rejects(sink.write([{ value: Math.random() }]), /Record has no value for topic field: device/);
+    await sink.close();
+  });
+
+  it('rejects topic with wildcards', async () => {
+    const sink = mqttSink('mqtt://127.0.0.1:1', 'devices/{meta.device}');
+    await assert.rejects(sink.write([{ meta: { device: `\u4e2d/#` } }]), /Topic must be a non-empty string without wildcards/);
+    await sink.close();
+  });
+
+  it('rejects write when broker is unreachable', async () => {
+    const sink = mqttSink('mqtt://127.0.0.1:1', () => `t/\u00df${Math.random()}`, { timeout: 0.2 });
+    await assert.rejects(sink.write([{ value: Math.random() }]), /MQTT publish timed out after 0.2s/);
+    await sink.close();
+  });
+});
@@ -51,4 +51,150 @@ describe('mqttSource', () => {
     assert.strictEqual(typeof source.start, 'function', 'Should have start method');
     assert.strictEqual(typeof source.stop, 'function', 'Should have stop method');
   });
+
+  it('accepts decoder per topic pattern', () => {
+    const collector = { accept: () => {} };
+    const source = mqttSource('mqtt://localhost:1883', 'sensors/#', collector, {
+      decoder: { 'sensors/#': (payload) => payload }
+    });
+    assert.strictEqual(typeof source.start, 'function', 'Should accept decoder map');
+  });
+
+  it('throws on invalid decoder', () => {
+    const collector = { accept: () => {} };
+    assert.throws(
+      () => mqttSource('mqtt://localhost:1883', 'test', collector, { decoder: { 'test': `\u00e9${Math.random()}` } }),
+      /Decoder must be a function or an object mapping topic patterns to functions/,
+      'Should reject invalid decoder'
+    );
+  });
+
+  it('throws on invalid error handler', () => {
+    const collector = { accept: () => {} };
+    assert.throws(
+      () => mqttSource('mqtt://localhost:1883', 'test', collector, { onError: 'log' }),
+      /Error handler must be a function/,
+      'Should reject invalid error handler'
+    );
+  });
+
+  it('throws on invalid dead letter collector', () => {
+    const collector = { accept: () => {} };
+    assert.throws(
+      () => mqttSource('mqtt://localhost:1883', 'test', collector, { deadLetter: {} }),
+      /Dead letter must have an accept\(\) method/,
+      'Should reject invalid dead letter collector'
+    );
+  });
+
+  it('throws on manual acknowledgement without client id', () => {
+    const collector = { accept: () => {}, flush: async () => true };
+    assert.throws(
+      () => mqttSource('mqtt://localhost:1883', 'test', collector, { manualAck: true }),
+      /Manual acknowledgement requires a clientId/,
+      'Should reject manual acknowledgement without client id'
+    );
+  });
+
+  it('throws on manual acknowledgement without flush', () => {
+    const collector = { accept: () => {} };
+    assert.throws(
+      () => mqttSource('mqtt://localhost:1883', 'test', collector, { manualAck: true, clientId: `c${Math.random()}` }),
+      /Collector must have a flush\(\) method for manual acknowledgement/,
+      'Should reject collector without flush'
+    );
+  });
+
+  it('throws on invalid ack interval', () => {
+    const collector = { accept: () => {}, flush: async () => true };
+    assert.throws(
+      () => mqttSource('mqtt://localhost:1883', 'test', collector, {
+        manualAck: true,
+        clientId: `\u00e9${Math.random()}`,
+        ackInterval: -Math.random() - 1
+      }),
+      /Ack interval must be a positive number/,
+      'Should reject invalid ack interval'
+    );
+  });
+
+  it('reports offline before start', () => {
+    const collector = { accept: () => {} };
+    const source = mqttSource('mqtt://localhost:1883', `\u00e9${Math.random()}`, collector);
+    assert.strictEqual(source.status(), 'offline', 'Should be offline before start');
+  });
+
+  it('retries unreachable broker and rejects start on stop', async () => {
+    const collector = { accept: () => {} };
+    const source = mqttSource('mqtt://127.0.0.1:1', 'test', collector, { reconnect: { base: 0.05, cap: 0.05 } });
+    const errors = [];
+    source.on('error', (err) => errors.push(err));
+    const ready = source.start();
+    assert.strictEqual(source.status(), 'connecting', 'Should be connecting after start');
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    assert.strictEqual(errors.length >= 2, true, 'Should report each failed attempt');
+    source.stop();
+    assert.strictEqual(source.status(), 'offline', 'Should be offline after stop');
+    await assert.rejects(ready, /Source stopped before subscription was granted/);
+  });
+
+  it('removes listener with returned function', async () => {
+    const collector = { accept: () => {} };
+    const source = mqttSource('mqtt://127.0.0.1:1', 'test', collector, { reconnect: { base: 0.05, cap: 0.05 } });
+    const errors = [];
+    const off = source.on('error', (err) => errors.push(err));
+    off();
+    source.on('error', () => {});
+    source.start().catch(() => {});
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    source.stop();
+    assert.strictEqual(errors.length, 0, 'Should not call removed listener');
+  });
+
+  it('throws on unknown event', () => {
+    const collector = { accept: () => {} };
+    const source = mqttSource('mqtt://localhost:1883', 'test', collector);
+    assert.throws(
+      () => source.on(`\u00f1${Math.random()}`, () => {}),
+      /Event must be connect, disconnect, error or subscribe/,
+      'Should reject unknown event'
+    );
+  });
+
+  it('throws on missing listener', () => {
+    const collector = { accept: () => {} };
+    const source = mqttSource('mqtt://localhost:1883', 'test', collector);
+    assert.throws(
+      () => source.on('connect', null),
+      /Listener must be a function/,
+      'Should reject missing listener'
+    );
+  });
+
+  it('throws on invalid reconnect base', () => {
+    const collector = { accept: () => {} };
+    assert.throws(
+      () => mqttSource('mqtt://localhost:1883', 'test', collector, { reconnect: { base: -Math.random() } }),
+      /Reconnect base must be a positive number/,
+      'Should reject invalid reconnect base'
+    );
+  });
+
+  it('throws on reconnect cap below base', () => {
+    const collector = { accept: () => {} };
+    assert.throws(
+      () => mqttSource('mqtt://localhost:1883', 'test', collector, { reconnect: { base: 5, cap: Math.random() * 4 } }),
+      /Reconnect cap must be a number not less than base/,
+      'Should reject cap below base'
+    );
+  });
+
+  it('throws on invalid reconnect multiplier', () => {
+    const collector = { accept: () => {} };
+    assert.throws(
+      () => mqttSource('mqtt://localhost:1883', 'test', collector, { reconnect: { multiplier: Math.random() * 0.9 } }),
+      /Reconnect multiplier must be a number not less than 1/,
+      'Should reject invalid multiplier'
+    );
+  });
 });
@@ -0,0 +1,38 @@
+import assert from 'node:assert';
+import { describe, it } from 'mocha';
+import parsers from '../src/parsers.js';
+
+describe('parsers', () => {
+  it('parses json line', () => {
+    const fields = { RequestPath: `/\u00e9${Math.random()}`, DownstreamStatus: 200 };
+    assert.deepStrictEqual(parsers.json(JSON.stringify(fields)), fields, 'Should parse JSON object');
+  });
+
+  it('throws on json line that is not an object', () => {
+    assert.throws(() => parsers.json(`[${Math.random()}]`), /Line must be a JSON object/, 'Should reject JSON array');
+  });
+
+  it('throws on invalid json line', () => {
+    assert.throws(() => parsers.json(`{\u4e2d`), SyntaxError, 'Should reject invalid JSON');
+  });
+
+  it('parses logfmt pairs', () => {
+    const duration = `${Math.random()}ms`;
+    const fields = parsers.logfmt(`level=info msg="request \\"done\\" \u00e9" duration=${duration} empty= cached`);
+    assert.deepStrictEqual(fields, {
+      level: 'info',
+      msg: 'request "done" \u00e9',
+      duration,
+      empty: '',
+      cached: true
+    }, 'Should parse bare, quoted, empty and flag values');
+  });
+
+  it('parses empty logfmt line', () => {
+    assert.deepStrictEqual(parsers.logfmt('   '), {}, 'Should return no fields');
+  });
+
+  it('throws on unterminated logfmt quote', () => {
+    assert.throws(() => parsers.logfmt(`msg="\u00df${Math.random()}`), /Invalid logfmt at position/, 'Should reject unterminated quote');
+  });
+});
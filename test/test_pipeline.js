@@ -0,0 +1,170 @@
+import assert from 'node:assert';
+import { describe, it } from 'mocha';
+import pipeline from '../src/pipeline.js';
+import circuit from '../src/circuit.js';
+import fakeClock from './fakeClock.js';
+
+/**
+ * Fake source capturing its collector and recording lifecycle calls.
+ *
+ * @param {Array} calls - Array collecting lifecycle call names
+ * @returns {object} Holder with factory() and collector()
+ */
+function fakeSource(calls) {
+  let target = null;
+  return {
+    factory: (collector) => {
+      target = collector;
+      return {
+        start: () => { calls.push('source.start'); },
+        stop: () => { calls.push('source.stop'); }
+      };
+    },
+    collector: () => target
+  };
+}
+
+/**
+ * Stage tagging each record with a name.
+ *
+ * @param {string} name - Tag appended to record path
+ * @returns {function} Stage factory wrapping next collector
+ */
+function tag(name) {
+  return (next) => ({
+    accept: (record) => next.accept({ ...record, path: [...record.path, name] }),
+    flush: () => next.flush(),
+    stop: () => next.stop()
+  });
+}
+
+describe('pipeline', () => {
+  it('delivers records from source through stages to sink', async () => {
+    const received = [];
+    const holder = fakeSource([]);
+    const p = pipeline()
+      .from(holder.factory)
+      .through(tag('a'), tag('b'))
+      .to({ write: async (records) => received.push(...records) }, { batchSize: 1 });
+    await p.start();
+    await holder.collector().accept({ v: `\u00e9${Math.random()}`, path: [] });
+    await p.stop();
+    assert.deepStrictEqual(received[0].path, ['a', 'b'], 'Should pass stages in order');
+  });
+
+  it('flushes buffered records on drain', async () => {
+    const received = [];
+    const holder = fakeSource([]);
+    const p = pipeline()
+      .from(holder.factory)
+      .to({ write: async (records) => received.push(...records) }, { batchSize: 100 });
+    await p.start();
+    const count = Math.floor(Math.random() * 5) + 1;
+    for (let i = 0; i < count; i++) {
+      holder.collector().accept({ v: `\u4e2d${i}` });
+    }
+    await p.drain();
+    await p.stop();
+    assert.strictEqual(received.length, count, 'Should write buffered records on drain');
+  });
+
+  it('stops source before flushing and stopping collectors', async () => {
+    const calls = [];
+    const holder = fakeSource(calls);
+    const p = pipeline()
+      .from(holder.factory)
+      .to({ write: async () => { calls.push('sink.write'); } }, { batchSize: 100 });
+    await p.start();
+    holder.collector().accept({ v: Math.random() });
+    await p.stop();
+    assert.deepStrictEqual(calls, ['source.start', 'source.stop', 'sink.write'], 'Should stop in order');
+  });
+
+  it('stops collectors even when final flush fails', async () => {
+    const holder = fakeSource([]);
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const p = pipeline()
+      .from(holder.factory)
+      .to({ write: async () => { throw new Error(`\u00df${Math.random()}`); } }, {
+        batchSize: 100,
+        breaker: circuit(5, 60, clk)
+      });
+    await p.start();
+    holder.collector().accept({ v: Math.random() });
+    await assert.rejects(p.stop());
+    assert.strictEqual(p.status().phase, 'stopped', 'Should report stopped');
+  });
+
+  it('rejects stop when records cannot be delivered', async () => {
+    const holder = fakeSource([]);
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const breaker = circuit(1, 60, clk);
+    const p = pipeline()
+      .from(holder.factory)
+      .to({ write: async () => { throw new Error(`\u00df${Math.random()}`); } }, { batchSize: 2, breaker });
+    await p.start();
+    holder.collector().accept({ v: Math.random() });
+    await holder.collector().accept({ v: Math.random() });
+    holder.collector().accept({ v: Math.random() });
+    await assert.rejects(p.stop(), (err) => err.code === 'UNDELIVERED' && err.undelivered === 3);
+    assert.deepStrictEqual({ ...p.status(), dropped: undefined }, {
+      phase: 'stopped',
+      breaker: 'open',
+      dropped: undefined,
+      undelivered: 3
+    }, 'Should report undelivered records');
+  });
+
+  it('reports status', async () => {
+    const holder = fakeSource([]);
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const p = pipeline()
+      .from(holder.factory)
+      .to({ write: async () => {} }, { breaker: circuit(5, 60, clk) });
+    const before = p.status();
+    await p.start();
+    const status = p.status();
+    await p.stop();
+    assert.strictEqual(before.phase, 'idle', 'Should start idle');
+    assert.deepStrictEqual(status, {
+      phase: 'running',
+      breaker: 'closed',
+      dropped: { oldest: 0, newest: 0, rejected: 0 },
+      undelivered: 0
+    }, 'Should report running status');
+  });
+
+  it('ignores duplicate start calls', async () => {
+    const calls = [];
+    const holder = fakeSource(calls);
+    const p = pipeline().from(holder.factory).to({ write: async () => {} });
+    await p.start();
+    await p.start();
+    await p.stop();
+    assert.strictEqual(calls.filter((c) => c === 'source.start').length, 1, 'Should start source once');
+  });
+
+  it('throws when building without source', () => {
+    assert.throws(
+      () => pipeline().to({ write: async () => {} }),
+      /Source must be set with from\(\) before to\(\)/,
+      'Should reject missing source'
+    );
+  });
+
+  it('throws on invalid stage', () => {
+    assert.throws(
+      () => pipeline().through(`\u00e9${Math.random()}`),
+      /Stage factory must be a function/,
+      'Should reject invalid stage'
+    );
+  });
+
+  it('throws on source without lifecycle', () => {
+    assert.throws(
+      () => pipeline().from(() => ({})).to({ write: async () => {} }),
+      /Source must have start\(\) and stop\(\) methods/,
+      'Should reject source without start and stop'
+    );
+  });
+});
@@ -1,6 +1,8 @@
 import assert from 'node:assert';
 import { describe, it } from 'mocha';
 import pollingSource from '../src/pollingSource.js';
+import memoryCheckpoint from '../src/memoryCheckpoint.js';
+import map from '../src/map.js';
 import fakeClock from './fakeClock.js';
 
 describe('pollingSource', () => {
@@ -131,4 +133,628 @@ describe('pollingSource', () => {
       'Should reject missing clock'
     );
   });
+
+  it('resumes from checkpoint on start', async () => {
+    const windows = [];
+    const fetch = async (since, until) => {
+      windows.push({ since, until });
+      return [];
+    };
+    const collector = { accept: () => {}, flush: async () => true };
+    const checkpoint = memoryCheckpoint();
+    const position = Math.floor(Math.random() * 10000);
+    await checkpoint.save(position);
+    const clk = fakeClock(position + 60000);
+    const source = pollingSource(fetch, 0.02, collector, clk, { checkpoint });
+    await source.start();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    source.stop();
+    assert.strictEqual(windows[0].since, position, 'Should fetch from saved position');
+  });
+
+  it('saves checkpoint after collector flush delivers', async () => {
+    const events = [];
+    const fetch = async () => [{ v: Math.random() }];
+    const collector = {
+      accept: () => events.push('accept'),
+      flush: async () => {
+        events.push('flush');
+        return true;
+      }
+    };
+    const checkpoint = memoryCheckpoint();
+    const save = checkpoint.save;
+    checkpoint.save = (until) => {
+      events.push('save');
+      return save(until);
+    };
+    const clk = fakeClock(Math.floor(Math.random() * 10000) + 1);
+    const source = pollingSource(fetch, 0.02, collector, clk, { checkpoint });
+    await source.start();
+    clk.advance(1000);
+    await new Promise((resolve) => setTimeout(resolve, 35));
+    source.stop();
+    assert.deepStrictEqual(events.slice(0, 3), ['accept', 'flush', 'save'], 'Should save after flush');
+    assert.strictEqual(await checkpoint.load(), clk.millis(), 'Should save window end');
+  });
+
+  it('keeps checkpoint when flush does not deliver', async () => {
+    const fetch = async () => [{ v: Math.random() }];
+    const collector = { accept: () => {}, flush: async () => false };
+    const checkpoint = memoryCheckpoint();
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const source = pollingSource(fetch, 0.02, collector, clk, { checkpoint });
+    await source.start();
+    clk.advance(1000);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    source.stop();
+    assert.strictEqual(await checkpoint.load(), null, 'Should not advance checkpoint');
+  });
+
+  it('starts next window where a partial fetch stopped', async () => {
+    const windows = [];
+    const start = Math.floor(Math.random() * 10000);
+    const fetch = async (since, until) => {
+      windows.push({ since, until });
+      return windows.length === 1 ? { records: [], until: since + 10 } : [];
+    };
+    const clk = fakeClock(start);
+    const source = pollingSource(fetch, 0.02, { accept: () => {} }, clk);
+    source.start();
+    clk.advance(1000);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    source.stop();
+    assert.strictEqual(windows[1].since, start + 10, 'Should resume from reported position');
+  });
+
+  it('rejects start when checkpoint cannot be loaded', async () => {
+    let loads = 0;
+    const checkpoint = {
+      load: async () => {
+        loads += 1;
+        throw new Error(`\u00e9${Math.random()}`);
+      },
+      save: async () => {}
+    };
+    const collector = { accept: () => {}, flush: async () => true };
+    const source = pollingSource(async () => [], 0.02, collector, fakeClock(0), { checkpoint });
+    await assert.rejects(source.start(), /\u00e9/);
+    await assert.rejects(source.start(), /\u00e9/);
+    source.stop();
+    assert.strictEqual(loads, 2, 'Should load again on the next start');
+  });
+
+  it('throws on invalid checkpoint', () => {
+    const collector = { accept: () => {}, flush: async () => true };
+    assert.throws(
+      () => pollingSource(async () => [], 10, collector, fakeClock(0), { checkpoint: { load: async () => null } }),
+      /Checkpoint must have load\(\) and save\(until\) methods/,
+      'Should reject invalid checkpoint'
+    );
+  });
+
+  it('throws on checkpoint without collector flush', () => {
+    assert.throws(
+      () => pollingSource(async () => [], 10, { accept: () => {} }, fakeClock(0), { checkpoint: memoryCheckpoint() }),
+      /Collector must have a flush\(\) method for checkpoints/,
+      'Should reject collector without flush'
+    );
+  });
+
+  it('waits for a slow poll before the next one', async () => {
+    let running = 0;
+    let overlapped = false;
+    let polls = 0;
+    const fetch = async () => {
+      running += 1;
+      overlapped = overlapped || running > 1;
+      polls += 1;
+      await new Promise((resolve) => setTimeout(resolve, 30));
+      running -= 1;
+      return [];
+    };
+    const source = pollingSource(fetch, 0.005, { accept: () => {} }, fakeClock(0));
+    source.start();
+    await new Promise((resolve) => setTimeout(resolve, 120));
+    source.stop();
+    assert.strictEqual(polls > 1, true, 'Should keep polling');
+    assert.strictEqual(overlapped, false, 'Should not run polls concurrently');
+  });
+
+  it('reports failed poll and reads the window again', async () => {
+    const windows = [];
+    const errors = [];
+    const message = `\u00e9${Math.random()}`;
+    const fetch = async (since, until) => {
+      windows.push({ since, until });
+      if (windows.length === 1) {
+        throw new Error(message);
+      }
+      return [];
+    };
+    const start = Math.floor(Math.random() * 10000);
+    const clk = fakeClock(start);
+    const source = pollingSource(fetch, 0.01, { accept: () => {} }, clk, { onError: (err) => errors.push(err) });
+    source.start();
+    while (windows.length < 2) {
+      clk.advance(1000);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+    source.stop();
+    assert.strictEqual(errors[0].message, message, 'Should pass failure to error handler');
+    assert.strictEqual(windows[1].since, start, 'Should retry failed window');
+    assert.strictEqual(windows[1].until > windows[0].until, true, 'Should extend retried window');
+  });
+
+  it('reports a refused record and moves on through the window', async () => {
+    const windows = [];
+    const received = [];
+    const errors = [];
+    const fetch = async (since, until) => {
+      windows.push({ since, until });
+      return windows.length === 1 ? ['{"v":"\u00e9"}', 'bad', '{"v":"\u00fc"}'] : [];
+    };
+    const next = { accept: (r) => received.push(r.v), flush: () => true, stop: () => {} };
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const source = pollingSource(fetch, 0.01, map(JSON.parse, next), clk, {
+      onError: (err, record) => errors.push([err.name, record])
+    });
+    source.start();
+    while (windows.length < 3) {
+      clk.advance(1000);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+    source.stop();
+    assert.deepStrictEqual(received, ['\u00e9', '\u00fc'], 'Should forward each good record once');
+    assert.deepStrictEqual(errors, [['SyntaxError', 'bad']], 'Should report the refused record');
+    assert.strictEqual(windows[1].since, windows[0].until, 'Should move past the window');
+  });
+
+  it('aborts fetch after timeout', async () => {
+    const errors = [];
+    let signal = null;
+    const fetch = (since, until, abort) => {
+      signal = abort;
+      return new Promise((resolve, reject) => {
+        abort.addEventListener('abort', () => reject(abort.reason));
+      });
+    };
+    const source = pollingSource(fetch, 0.005, { accept: () => {} }, fakeClock(0), {
+      timeout: 0.02,
+      onError: (err) => errors.push(err)
+    });
+    source.start();
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    source.stop();
+    assert.strictEqual(signal.aborted, true, 'Should abort fetch signal');
+    assert.match(errors[0].message, /Fetch timed out after 0.02s/, 'Should report timeout');
+  });
+
+  it('moves on when fetch ignores abort', async () => {
+    let polls = 0;
+    const fetch = () => {
+      polls += 1;
+      return new Promise(() => {});
+    };
+    const source = pollingSource(fetch, 0.005, { accept: () => {} }, fakeClock(0), { timeout: 0.01 });
+    source.start();
+    await new Promise((resolve) => setTimeout(resolve, 80));
+    source.stop();
+    assert.strictEqual(polls > 1, true, 'Should poll again after timeout');
+  });
+
+  it('aborts running fetch on stop without reporting it', async () => {
+    const errors = [];
+    let signal = null;
+    const fetch = (since, until, abort) => {
+      signal = abort;
+      return new Promise(() => {});
+    };
+    const source = pollingSource(fetch, 0.005, { accept: () => {} }, fakeClock(0), { onError: (err) => errors.push(err) });
+    source.start();
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    source.stop();
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    assert.strictEqual(signal.aborted, true, 'Should abort fetch on stop');
+    assert.deepStrictEqual(errors, [], 'Should not report stopped poll');
+  });
+
+  it('throws on invalid error handler', () => {
+    assert.throws(
+      () => pollingSource(async () => [], 10, { accept: () => {} }, fakeClock(0), { onError: 'log' }),
+      /Error handler must be a function/,
+      'Should reject invalid error handler'
+    );
+  });
+
+  it('throws on invalid timeout', () => {
+    assert.throws(
+      () => pollingSource(async () => [], 10, { accept: () => {} }, fakeClock(0), { timeout: 0 }),
+      /Timeout must be a positive number/,
+      'Should reject invalid timeout'
+    );
+  });
+
+  it('backfills a range in windows and stops', async () => {
+    const windows = [];
+    const progress = [];
+    const from = Math.floor(Math.random() * 10000);
+    const fetch = async (since, until) => {
+      windows.push([since, until]);
+      return [{ since }];
+    };
+    const received = [];
+    const source = pollingSource(fetch, 0.01, { accept: (r) => received.push(r) }, fakeClock(from + 60000), {
+      backfill: { from, to: from + 2500, window: 1, onProgress: (p) => progress.push(p) }
+    });
+    await source.start();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.deepStrictEqual(windows, [[from, from + 1000], [from + 1000, from + 2000], [from + 2000, from + 2500]], 'Should read range in windows');
+    assert.strictEqual(received.length, 3, 'Should forward records of every window');
+    assert.deepStrictEqual(progress.map((p) => [p.until, p.windows, p.total]), [
+      [from + 1000, 1, 3],
+      [from + 2000, 2, 3],
+      [from + 2500, 3, 3]
+    ], 'Should report progress');
+    await source.start();
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    source.stop();
+    assert.strictEqual(windows.length, 6, 'Should be startable again after finishing');
+  });
+
+  it('backfills with bounded concurrency and reports contiguous progress', async () => {
+    let running = 0;
+    let peak = 0;
+    const progress = [];
+    const fetch = async (since) => {
+      running += 1;
+      peak = Math.max(peak, running);
+      await new Promise((resolve) => setTimeout(resolve, since === 0 ? 40 : 5));
+      running -= 1;
+      return [];
+    };
+    const source = pollingSource(fetch, 0.01, { accept: () => {} }, fakeClock(60000), {
+      backfill: { from: 0, to: 4000, window: 1, concurrency: 2, onProgress: (p) => progress.push(p.until) }
+    });
+    source.start();
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    source.stop();
+    assert.strictEqual(peak, 2, 'Should read two windows at a time');
+    assert.strictEqual(progress[0] >= 2000, true, 'Should not report past an unfinished window');
+    assert.strictEqual(progress[progress.length - 1], 4000, 'Should finish the range');
+  });
+
+  it('flushes after each window and retries an undelivered flush without fetching again', async () => {
+    const events = [];
+    const errors = [];
+    const buffered = [];
+    const written = [];
+    let flushes = 0;
+    const fetch = async (since, until) => {
+      events.push(`fetch ${since}-${until}`);
+      return [{ id: `\u00e9${since}` }];
+    };
+    const collector = {
+      accept: (record) => buffered.push(record),
+      flush: async () => {
+        flushes += 1;
+        events.push('flush');
+        if (flushes === 1) {
+          return false;
+        }
+        written.push(...buffered.splice(0));
+        return true;
+      }
+    };
+    const source = pollingSource(fetch, 0.01, collector, fakeClock(60000), {
+      backfill: { from: 0, to: 2000, window: 1 },
+      onError: (err) => errors.push(err)
+    });
+    source.start();
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    source.stop();
+    assert.deepStrictEqual(events, ['fetch 0-1000', 'flush', 'flush', 'fetch 1000-2000', 'flush'], 'Should flush again before the next window');
+    assert.deepStrictEqual(written.map((r) => r.id), ['\u00e90', '\u00e91000'], 'Should write each record once');
+    assert.match(errors[0].message, /Collector did not deliver backfill window \[0, 1000\)/, 'Should report undelivered window');
+  });
+
+  it('reports a throwing progress handler to the error handler', async () => {
+    const errors = [];
+    const message = `\u00e9${Math.random()}`;
+    const source = pollingSource(async () => [], 0.01, { accept: () => {} }, fakeClock(60000), {
+      backfill: { from: 0, to: 2000, window: 1, live: true, onProgress: () => { throw new Error(message); } },
+      onError: (err) => {
+        errors.push(err);
+        throw err;
+      }
+    });
+    source.start();
+    await new Promise((resolve) => setTimeout(resolve, 40));
+    source.stop();
+    assert.deepStrictEqual(errors.map((err) => err.message), [message, message], 'Should report each failed progress call');
+  });
+
+  it('continues a backfill window after a partial fetch', async () => {
+    const windows = [];
+    const fetch = async (since, until) => {
+      windows.push([since, until]);
+      return windows.length === 1 ? { records: [], until: since + 300 } : [];
+    };
+    const source = pollingSource(fetch, 0.01, { accept: () => {} }, fakeClock(60000), {
+      backfill: { from: 0, to: 1000, window: 1 }
+    });
+    source.start();
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    source.stop();
+    assert.deepStrictEqual(windows, [[0, 1000], [300, 1000]], 'Should read rest of the window');
+  });
+
+  it('hands off to live polling at the end of the backfill', async () => {
+    const windows = [];
+    const fetch = async (since, until) => {
+      windows.push([since, until]);
+      return [];
+    };
+    const clk = fakeClock(60000);
+    const source = pollingSource(fetch, 0.01, { accept: () => {} }, clk, {
+      backfill: { from: 0, to: 2000, window: 1, live: true }
+    });
+    source.start();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    source.stop();
+    assert.deepStrictEqual(windows[2], [2000, 60000], 'Should poll live from the end of the range');
+  });
+
+  it('resumes an interrupted backfill from the checkpoint', async () => {
+    const windows = [];
+    const fetch = async (since, until) => {
+      windows.push([since, until]);
+      return [];
+    };
+    const checkpoint = memoryCheckpoint();
+    await checkpoint.save(2000);
+    const collector = { accept: () => {}, flush: async () => true };
+    const source = pollingSource(fetch, 0.01, collector, fakeClock(60000), {
+      checkpoint,
+      backfill: { from: 0, to: 3000, window: 1 }
+    });
+    await source.start();
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    source.stop();
+    assert.deepStrictEqual(windows, [[2000, 3000]], 'Should skip checkpointed windows');
+    assert.strictEqual(await checkpoint.load(), 3000, 'Should checkpoint backfill progress');
+  });
+
+  it('throws on invalid backfill range', () => {
+    assert.throws(
+      () => pollingSource(async () => [], 10, { accept: () => {} }, fakeClock(10000), { backfill: { from: 5000, to: 5000, window: 1 } }),
+      /Backfill range must be numbers with from before to/,
+      'Should reject empty range'
+    );
+    assert.throws(
+      () => pollingSource(async () => [], 10, { accept: () => {} }, fakeClock(10000), { backfill: { from: 0, to: 20000, window: 1 } }),
+      /Backfill range must not end after the current time/,
+      'Should reject range ending in the future'
+    );
+  });
+
+  it('throws on invalid backfill window and concurrency', () => {
+    assert.throws(
+      () => pollingSource(async () => [], 10, { accept: () => {} }, fakeClock(10000), { backfill: { from: 0, to: 5000, window: 0 } }),
+      /Backfill window must be a positive number/,
+      'Should reject invalid window'
+    );
+    assert.throws(
+      () => pollingSource(async () => [], 10, { accept: () => {} }, fakeClock(10000), { backfill: { from: 0, to: 5000, window: 1, concurrency: 1.5 } }),
+      /Backfill concurrency must be a positive integer/,
+      'Should reject invalid concurrency'
+    );
+  });
+
+  it('ends live windows the lag before now', async () => {
+    const windows = [];
+    const fetch = async (since, until) => {
+      windows.push([since, until]);
+      return [];
+    };
+    const clk = fakeClock(100000);
+    const source = pollingSource(fetch, 0.005, { accept: () => {} }, clk, { lag: 5 });
+    source.start();
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    clk.advance(1000);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    source.stop();
+    assert.strictEqual(windows[0][0], 95000, 'Should start the lag before now');
+    assert.deepStrictEqual(windows.find(([, until]) => until !== 95000), [95000, 96000], 'Should end window the lag before now');
+  });
+
+  it('reads the overlap of the previous window again', async () => {
+    const windows = [];
+    const fetch = async (since, until) => {
+      windows.push([since, until]);
+      return [];
+    };
+    const clk = fakeClock(100000);
+    const source = pollingSource(fetch, 0.005, { accept: () => {} }, clk, { overlap: 2 });
+    source.start();
+    while (windows.length < 2) {
+      clk.advance(1000);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    source.stop();
+    assert.strictEqual(windows[1][0], windows[0][1] - 2000, 'Should start the overlap before the previous end');
+  });
+
+  it('continues a partial fetch without overlap', async () => {
+    const windows = [];
+    const fetch = async (since, until) => {
+      windows.push([since, until]);
+      return windows.length === 1 ? { records: [], until: since + 2500 } : [];
+    };
+    const clk = fakeClock(100000);
+    const source = pollingSource(fetch, 0.005, { accept: () => {} }, clk, { overlap: 2 });
+    source.start();
+    while (windows.length < 3) {
+      clk.advance(1000);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    source.stop();
+    assert.strictEqual(windows[1][0], windows[0][0] + 2500, 'Should continue where the fetch stopped');
+    assert.strictEqual(windows[2][0], windows[1][1] - 2000, 'Should overlap again after catching up');
+  });
+
+  it('drops recently forwarded records by identity', async () => {
+    const batches = [['a', 'b'], ['b', 'c'], ['a'], []];
+    let call = 0;
+    const fetch = async () => (batches[call++] ?? []).map((id) => ({ id: `\u00e9${id}` }));
+    const received = [];
+    const clk = fakeClock(100000);
+    const source = pollingSource(fetch, 0.005, { accept: (r) => received.push(r.id) }, clk, {
+      identity: (r) => r.id,
+      dedupeSize: 2
+    });
+    source.start();
+    while (call < 4) {
+      clk.advance(1000);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    source.stop();
+    assert.deepStrictEqual(received, ['\u00e9a', '\u00e9b', '\u00e9c', '\u00e9a'], 'Should drop duplicates and forget the oldest');
+  });
+
+  it('forwards a record refused once when the overlap reads it again', async () => {
+    let call = 0;
+    const fetch = async () => {
+      call += 1;
+      return call <= 2 ? [1, 2, 3].map((id) => ({ id: `\u00e9${id}` })) : [];
+    };
+    const received = [];
+    let refused = false;
+    const collector = {
+      accept: (r) => {
+        if (r.id === '\u00e92' && !refused) {
+          refused = true;
+          throw new Error('Batch buffer is full');
+        }
+        received.push(r.id);
+      }
+    };
+    const errors = [];
+    const clk = fakeClock(100000);
+    const source = pollingSource(fetch, 0.005, collector, clk, {
+      overlap: 2,
+      identity: (r) => r.id,
+      onError: (err) => errors.push(err.message)
+    });
+    source.start();
+    while (call < 3) {
+      clk.advance(1000);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    source.stop();
+    assert.deepStrictEqual(received, ['\u00e91', '\u00e93', '\u00e92'], 'Should forward the refused record on the overlap');
+    assert.deepStrictEqual(errors, ['Batch buffer is full'], 'Should report the refusal');
+  });
+
+  it('throws on invalid lag and overlap', () => {
+    assert.throws(
+      () => pollingSource(async () => [], 10, { accept: () => {} }, fakeClock(0), { lag: -1 }),
+      /Lag must be a non-negative number/,
+      'Should reject negative lag'
+    );
+    assert.throws(
+      () => pollingSource(async () => [], 10, { accept: () => {} }, fakeClock(0), { overlap: NaN }),
+      /Overlap must be a non-negative number/,
+      'Should reject invalid overlap'
+    );
+  });
+
+  it('throws on invalid identity and dedupe size', () => {
+    assert.throws(
+      () => pollingSource(async () => [], 10, { accept: () => {} }, fakeClock(0), { identity: 'id' }),
+      /Identity must be a function/,
+      'Should reject invalid identity'
+    );
+    assert.throws(
+      () => pollingSource(async () => [], 10, { accept: () => {} }, fakeClock(0), { dedupeSize: 0 }),
+      /Dedupe size must be a positive integer/,
+      'Should reject invalid dedupe size'
+    );
+  });
+
+  it('adapts the delay to poll results on the clock', async () => {
+    const results = [
+      (since) => ({ records: [{ v: 1 }], until: since + 1 }),
+      () => [{ v: 2 }],
+      () => [],
+      () => [],
+      () => {
+        throw new Error(`\u00e9${Math.random()}`);
+      },
+      () => {
+        throw new Error(`\u00e9${Math.random()}`);
+      }
+    ];
+    const times = [];
+    const clk = fakeClock(100000);
+    const fetch = async (since) => {
+      times.push(clk.millis());
+      return (results[times.length - 1] ?? (() => []))(since);
+    };
+    const source = pollingSource(fetch, 1, { accept: () => {} }, clk, {
+      adaptive: { min: 2, max: 5, step: 1, multiplier: 2 }
+    });
+    source.start();
+    for (let i = 0; i < 100 && times.length < 7; i++) {
+      clk.advance(250);
+      await new Promise((resolve) => setTimeout(resolve, 3));
+    }
+    source.stop();
+    const gaps = times.slice(1, 7).map((time, i) => time - times[i]);
+    assert.strictEqual(times[0], 101000, 'Should poll first after the interval');
+    assert.deepStrictEqual(gaps, [0, 2000, 3000, 4000, 4000, 5000], 'Should continue, slow down when empty and back off on errors');
+  });
+
+  it('stops waiting on the clock on stop', async () => {
+    let polls = 0;
+    const fetch = async () => {
+      polls += 1;
+      return [];
+    };
+    const clk = fakeClock(0);
+    const source = pollingSource(fetch, 1, { accept: () => {} }, clk, { adaptive: { min: 1, max: 10 } });
+    source.start();
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    source.stop();
+    assert.strictEqual(clk.pending(), 0, 'Should end the clock sleep');
+    clk.advance(60000);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    assert.strictEqual(polls, 0, 'Should not poll after stop');
+  });
+
+  it('throws on invalid adaptive bounds', () => {
+    assert.throws(
+      () => pollingSource(async () => [], 10, { accept: () => {} }, fakeClock(0), { adaptive: { min: 0, max: 10 } }),
+      /Adaptive min must be a positive number/,
+      'Should reject invalid min'
+    );
+    assert.throws(
+      () => pollingSource(async () => [], 10, { accept: () => {} }, fakeClock(0), { adaptive: { min: 5, max: 1 } }),
+      /Adaptive max must be a number not less than min/,
+      'Should reject max below min'
+    );
+    assert.throws(
+      () => pollingSource(async () => [], 10, { accept: () => {} }, fakeClock(0), { adaptive: { min: 1, max: 10, multiplier: 0.5 } }),
+      /Adaptive multiplier must be a number not less than 1/,
+      'Should reject shrinking multiplier'
+    );
+  });
+
+  it('throws on adaptive schedule without clock sleep', () => {
+    assert.throws(
+      () => pollingSource(async () => [], 10, { accept: () => {} }, { millis: () => 0 }, { adaptive: { min: 1, max: 10 } }),
+      /Clock must have a sleep\(\) method for adaptive polling/,
+      'Should reject clock without sleep'
+    );
+  });
 });
@@ -0,0 +1,165 @@
+import assert from 'node:assert';
+import { describe, it } from 'mocha';
+import rateCircuit from '../src/rateCircuit.js';
+import fakeClock from './fakeClock.js';
+
+describe('rateCircuit', () => {
+  it('starts allowing operations', () => {
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const c = rateCircuit(Math.random() * 0.9 + 0.1, 60, clk);
+    assert.strictEqual(c.allowing(), true, 'Circuit should start allowing');
+  });
+
+  it('opens when failure ratio reaches rate despite successes', () => {
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const c = rateCircuit(0.5, 60, clk, { window: 10, minimumCalls: 10 });
+    for (let i = 0; i < 10; i++) {
+      c.allowing();
+      if (i % 5 === 0) {
+        c.succeed();
+      } else {
+        c.fail();
+      }
+    }
+    assert.strictEqual(c.allowing(), false, 'Should open on failure ratio');
+  });
+
+  it('stays closed below minimum calls', () => {
+    const minimumCalls = Math.floor(Math.random() * 5) + 5;
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const c = rateCircuit(0.5, 60, clk, { window: 20, minimumCalls });
+    for (let i = 0; i < minimumCalls - 1; i++) {
+      c.allowing();
+      c.fail();
+    }
+    assert.strictEqual(c.allowing(), true, 'Should not evaluate below minimum calls');
+  });
+
+  it('stays closed below failure rate', () => {
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const c = rateCircuit(0.5, 60, clk, { window: 10, minimumCalls: 10 });
+    for (let i = 0; i < 30; i++) {
+      c.allowing();
+      if (i % 3 === 0) {
+        c.fail();
+      } else {
+        c.succeed();
+      }
+    }
+    assert.strictEqual(c.allowing(), true, 'Should stay closed below rate');
+  });
+
+  it('forgets calls that leave a count window', () => {
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const c = rateCircuit(0.75, 60, clk, { window: 4, minimumCalls: 4 });
+    const successes = Math.floor(Math.random() * 20) + 10;
+    for (let i = 0; i < successes; i++) {
+      c.succeed();
+    }
+    c.fail();
+    c.fail();
+    assert.strictEqual(c.state(), 'closed', 'Should stay closed below rate');
+    c.fail();
+    assert.strictEqual(c.state(), 'open', 'Should only count the last calls');
+  });
+
+  it('forgets calls that leave a time window', () => {
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const c = rateCircuit(0.5, 60, clk, { window: 10, windowType: 'time', minimumCalls: 2 });
+    c.fail();
+    clk.advance(11000);
+    c.fail();
+    assert.strictEqual(c.state(), 'closed', 'Should drop expired calls');
+    c.succeed();
+    c.fail();
+    assert.strictEqual(c.state(), 'open', 'Should open within the time window');
+  });
+
+  it('opens on slow-call ratio', () => {
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const c = rateCircuit(1, 60, clk, { window: 4, minimumCalls: 4, slowCall: 2, slowRate: 0.5 });
+    for (let i = 0; i < 4; i++) {
+      c.allowing();
+      clk.advance(i % 2 === 0 ? 3000 : 100);
+      c.succeed();
+    }
+    assert.strictEqual(c.state(), 'open', 'Should open on slow calls measured from allowing');
+  });
+
+  it('uses explicit durations', () => {
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const c = rateCircuit(1, 60, clk, { window: 2, minimumCalls: 2, slowCall: 1, slowRate: 1 });
+    c.succeed(1500);
+    c.succeed(1000);
+    assert.strictEqual(c.state(), 'open', 'Should use passed durations');
+  });
+
+  it('becomes half-open after timeout and closes on success', () => {
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const c = rateCircuit(1, 30, clk, { window: 1, minimumCalls: 1 });
+    c.fail();
+    clk.advance(30000);
+    assert.strictEqual(c.allowing(), true, 'Should allow a trial');
+    assert.strictEqual(c.allowing(), false, 'Should allow only one trial');
+    c.succeed();
+    assert.strictEqual(c.state(), 'closed', 'Should close after trial success');
+  });
+
+  it('reopens when trial fails', () => {
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const c = rateCircuit(1, 30, clk, { window: 1, minimumCalls: 1 });
+    c.fail();
+    clk.advance(30000);
+    c.allowing();
+    c.fail();
+    assert.strictEqual(c.state(), 'open', 'Should reopen after trial failure');
+  });
+
+  it('throws on invalid rate', () => {
+    assert.throws(
+      () => rateCircuit(Math.random() + 1.01, 60, fakeClock(0)),
+      /Rate must be a number in \(0, 1\]/,
+      'Should reject invalid rate'
+    );
+  });
+
+  it('throws on invalid timeout', () => {
+    assert.throws(
+      () => rateCircuit(0.5, -Math.random() - 1, fakeClock(0)),
+      /Timeout must be a non-negative number/,
+      'Should reject invalid timeout'
+    );
+  });
+
+  it('throws on missing clock', () => {
+    assert.throws(
+      () => rateCircuit(0.5, 60),
+      /Clock must have a millis\(\) method/,
+      'Should reject missing clock'
+    );
+  });
+
+  it('throws on unknown window type', () => {
+    assert.throws(
+      () => rateCircuit(0.5, 60, fakeClock(0), { windowType: `\u00e9${Math.random()}` }),
+      /Window type must be count or time/,
+      'Should reject unknown window type'
+    );
+  });
+
+  it('throws on minimum calls beyond count window', () => {
+    assert.throws(
+      () => rateCircuit(0.5, 60, fakeClock(0), { window: 5, minimumCalls: 6 }),
+      /Minimum calls must not exceed the window/,
+      'Should reject minimum calls beyond window'
+    );
+  });
+
+  it('throws on invalid slow rate', () => {
+    assert.throws(
+      () => rateCircuit(0.5, 60, fakeClock(0), { slowRate: 0 }),
+      /Slow rate must be a number in \(0, 1\]/,
+      'Should reject invalid slow rate'
+    );
+  });
+});
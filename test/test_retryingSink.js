@@ -0,0 +1,162 @@
+import assert from 'node:assert';
+import { describe, it } from 'mocha';
+import retryingSink from '../src/retryingSink.js';
+import fakeClock from './fakeClock.js';
+
+/**
+ * Settles a promise while advancing fake time between microtask turns.
+ *
+ * @param {Promise} promise - Promise depending on fake clock sleeps
+ * @param {object} clk - Fake clock to advance
+ * @param {number} step - Milliseconds to advance per turn
+ * @returns {Promise} Promise settling like the given one
+ */
+async function drive(promise, clk, step) {
+  let settled = false;
+  const observed = promise.finally(() => { settled = true; });
+  observed.catch(() => {});
+  while (!settled) {
+    await new Promise((resolve) => setImmediate(resolve));
+    clk.advance(step);
+  }
+  return observed;
+}
+
+describe('retryingSink', () => {
+  it('writes through on first success', async () => {
+    const received = [];
+    const sink = { write: async (records) => received.push(...records) };
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const retrying = retryingSink(sink, {}, clk);
+    const records = [{ v: `\u00e9${Math.random()}` }];
+    await retrying.write(records);
+    assert.deepStrictEqual(received, records, 'Should write records once');
+  });
+
+  it('retries until write succeeds', async () => {
+    let calls = 0;
+    const failures = Math.floor(Math.random() * 3) + 1;
+    const sink = {
+      write: async () => {
+        calls += 1;
+        if (calls <= failures) {
+          throw new Error(`\u4e2d${calls}`);
+        }
+      }
+    };
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const retrying = retryingSink(sink, { attempts: failures + 1 }, clk);
+    await drive(retrying.write([{ v: Math.random() }]), clk, 1000);
+    assert.strictEqual(calls, failures + 1, 'Should retry until success');
+  });
+
+  it('rethrows last error after max attempts', async () => {
+    let calls = 0;
+    const sink = {
+      write: async () => {
+        calls += 1;
+        throw new Error(`Attempt ${calls}`);
+      }
+    };
+    const attempts = Math.floor(Math.random() * 4) + 1;
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const retrying = retryingSink(sink, { attempts }, clk);
+    await assert.rejects(drive(retrying.write([]), clk, 1000), new RegExp(`Attempt ${attempts}`));
+    assert.strictEqual(calls, attempts, 'Should stop after max attempts');
+  });
+
+  it('does not retry fatal errors', async () => {
+    let calls = 0;
+    const sink = {
+      write: async () => {
+        calls += 1;
+        throw new Error(`Fatal \u00df${Math.random()}`);
+      }
+    };
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const retrying = retryingSink(sink, { attempts: 5, retryable: (err) => !/Fatal/.test(err.message) }, clk);
+    await assert.rejects(retrying.write([]), /Fatal/);
+    assert.strictEqual(calls, 1, 'Should not retry fatal error');
+  });
+
+  it('waits jittered exponential backoff between attempts', async () => {
+    const delays = [];
+    const sink = { write: async () => { throw new Error('Unavailable'); } };
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const sleep = clk.sleep;
+    clk.sleep = (ms) => {
+      delays.push(ms);
+      return sleep(ms);
+    };
+    const retrying = retryingSink(sink, { attempts: 5, base: 1, cap: 4, random: () => 0.5 }, clk);
+    await assert.rejects(drive(retrying.write([]), clk, 10000), /Unavailable/);
+    assert.deepStrictEqual(delays, [500, 1000, 2000, 2000], 'Should double delay up to cap with jitter');
+  });
+
+  it('gives up when retry would pass the deadline', async () => {
+    let calls = 0;
+    const sink = {
+      write: async () => {
+        calls += 1;
+        throw new Error(`\u0436${calls}`);
+      }
+    };
+    const clk = fakeClock(Math.floor(Math.random() * 10000));
+    const retrying = retryingSink(sink, { attempts: 10, base: 1, cap: 1, deadline: 2.5, random: () => 0.99 }, clk);
+    await assert.rejects(drive(retrying.write([]), clk, 990));
+    assert.strictEqual(calls, 3, 'Should stop retrying at the deadline');
+  });
+
+  it('throws on missing sink', () => {
+    assert.throws(
+      () => retryingSink(null, {}, fakeClock(0)),
+      /Sink must have a write\(records\) method/,
+      'Should reject missing sink'
+    );
+  });
+
+  it('throws on missing policy', () => {
+    const sink = { write: async () => {} };
+    assert.throws(
+      () => retryingSink(sink, null, fakeClock(0)),
+      /Policy must be an object/,
+      'Should reject missing policy'
+    );
+  });
+
+  it('throws on invalid attempts', () => {
+    const sink = { write: async () => {} };
+    assert.throws(
+      () => retryingSink(sink, { attempts: -Math.floor(Math.random() * 10) }, fakeClock(0)),
+      /Attempts must be a positive integer/,
+      'Should reject invalid attempts'
+    );
+  });
+
+  it('throws on cap below base', () => {
+    const sink = { write: async () => {} };
+    assert.throws(
+      () => retryingSink(sink, { base: 2, cap: 1 }, fakeClock(0)),
+      /Cap must be a number not less than base/,
+      'Should reject cap below base'
+    );
+  });
+
+  it('throws on invalid deadline', () => {
+    const sink = { write: async () => {} };
+    assert.throws(
+      () => retryingSink(sink, { deadline: 0 }, fakeClock(0)),
+      /Deadline must be a positive number/,
+      'Should reject invalid deadline'
+    );
+  });
+
+  it('throws on clock without sleep', () => {
+    const sink = { write: async () => {} };
+    assert.throws(
+      () => retryingSink(sink, {}, { millis: () => 0 }),
+      /Clock must have millis\(\) and sleep\(\) methods/,
+      'Should reject clock without sleep'
+    );
+  });
+});
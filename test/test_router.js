@@ -0,0 +1,85 @@
+import assert from 'node:assert';
+import { describe, it } from 'mocha';
+import router from '../src/router.js';
+import recorder from './recorder.js';
+
+describe('router', () => {
+  it('routes records by topic pattern', () => {
+    const metrics = recorder();
+    const status = recorder();
+    const r = router({ 'sensors/#': metrics, 'devices/+/status': status });
+    const reading = { topic: `sensors/\u00e9${Math.floor(Math.random() * 100)}/temp`, payload: Math.random() };
+    const update = { topic: `devices/${Math.random().toString(36).slice(2)}/status`, payload: 'up' };
+    r.accept(reading);
+    r.accept(update);
+    assert.deepStrictEqual(metrics.calls.accepted, [reading], 'Should route sensors to metrics');
+    assert.deepStrictEqual(status.calls.accepted, [update], 'Should route device status to status');
+  });
+
+  it('uses the first matching pattern', () => {
+    const first = recorder();
+    const second = recorder();
+    const r = router({ 'sensors/+': first, 'sensors/#': second });
+    const record = { topic: `sensors/\u4e2d${Math.random()}`, payload: 1 };
+    r.accept(record);
+    assert.deepStrictEqual([first.calls.accepted.length, second.calls.accepted.length], [1, 0], 'Should pick first match');
+  });
+
+  it('sends unmatched records to fallback', () => {
+    const metrics = recorder();
+    const fallback = recorder();
+    const r = router({ 'sensors/#': metrics }, fallback);
+    const record = { topic: `other/\u00df${Math.random()}`, payload: 1 };
+    r.accept(record);
+    r.accept({ payload: 2 });
+    assert.deepStrictEqual(fallback.calls.accepted, [record, { payload: 2 }], 'Should route unmatched records to fallback');
+    assert.strictEqual(metrics.calls.accepted.length, 0, 'Should not route unmatched to metrics');
+  });
+
+  it('drops unmatched records without fallback', () => {
+    const metrics = recorder();
+    const r = router({ 'sensors/#': metrics });
+    assert.doesNotThrow(() => r.accept({ topic: `x/${Math.random()}` }), 'Should drop unmatched record');
+    assert.strictEqual(metrics.calls.accepted.length, 0, 'Should not forward unmatched record');
+  });
+
+  it('flushes and stops each distinct collector once', async () => {
+    const shared = recorder();
+    const fallback = recorder();
+    const r = router({ 'a/#': shared, 'b/#': shared }, fallback);
+    const delivered = await r.flush();
+    r.stop();
+    assert.strictEqual(delivered, true, 'Should report delivery');
+    assert.deepStrictEqual([shared.calls.flushed, shared.calls.stopped], [1, 1], 'Should reach shared collector once');
+    assert.deepStrictEqual([fallback.calls.flushed, fallback.calls.stopped], [1, 1], 'Should reach fallback');
+  });
+
+  it('reports undelivered when any collector does', async () => {
+    const r = router({ 'a/#': recorder(), 'b/#': recorder(false) });
+    assert.strictEqual(await r.flush(), false, 'Should report undelivered records');
+  });
+
+  it('throws on missing routes', () => {
+    assert.throws(
+      () => router(null),
+      /Routes must be an object mapping topic patterns to collectors/,
+      'Should reject missing routes'
+    );
+  });
+
+  it('throws on incomplete route collector', () => {
+    assert.throws(
+      () => router({ [`\u00e9${Math.random()}/#`]: { accept: () => {} } }),
+      /Route collectors must have accept\(\), flush\(\) and stop\(\) methods/,
+      'Should reject incomplete route collector'
+    );
+  });
+
+  it('throws on incomplete fallback', () => {
+    assert.throws(
+      () => router({ 'a/#': recorder() }, { accept: () => {} }),
+      /Fallback must have accept\(\), flush\(\) and stop\(\) methods/,
+      'Should reject incomplete fallback'
+    );
+  });
+});
@@ -0,0 +1,124 @@
+import assert from 'node:assert';
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import spillStore from '../src/spillStore.js';
+
+describe('spillStore', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'spill-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('returns appended records in order', async () => {
+    const store = spillStore(dir);
+    const count = Math.floor(Math.random() * 10) + 2;
+    const records = [];
+    for (let i = 0; i < count; i++) {
+      records.push({ id: i, name: `\u00e9\u00f1\u00fc${Math.random()}` });
+    }
+    await store.append(records);
+    assert.deepStrictEqual(await store.peek(count), records, 'Should return records in append order');
+  });
+
+  it('removes records from the head', async () => {
+    const store = spillStore(dir);
+    const count = Math.floor(Math.random() * 10) + 3;
+    const records = [];
+    for (let i = 0; i < count; i++) {
+      records.push({ id: `\u4e2d${i}` });
+    }
+    await store.append(records);
+    await store.remove(2);
+    assert.deepStrictEqual(await store.peek(count), records.slice(2), 'Should skip removed records');
+  });
+
+  it('counts stored records', async () => {
+    const store = spillStore(dir);
+    const count = Math.floor(Math.random() * 10) + 1;
+    await store.append(Array.from({ length: count }, (_, i) => ({ i })));
+    assert.strictEqual(await store.size(), count, 'Should count stored records');
+  });
+
+  it('reads records across segments', async () => {
+    const store = spillStore(dir, { segmentBytes: 16 });
+    const count = Math.floor(Math.random() * 10) + 5;
+    const records = [];
+    for (let i = 0; i < count; i++) {
+      records.push({ v: `\u3042${i}` });
+      await store.append([records[i]]);
+    }
+    await store.remove(1);
+    assert.deepStrictEqual(await store.peek(count), records.slice(1), 'Should read across segments');
+  });
+
+  it('deletes consumed segments', async () => {
+    const store = spillStore(dir, { segmentBytes: 16 });
+    const count = Math.floor(Math.random() * 5) + 3;
+    for (let i = 0; i < count; i++) {
+      await store.append([{ v: `\u00df${i}` }]);
+    }
+    await store.remove(count);
+    const names = (await fs.readdir(dir)).filter((name) => name.endsWith('.log'));
+    assert.strictEqual(names.length, 0, 'Should delete consumed segments');
+  });
+
+  it('survives restart', async () => {
+    const records = [{ a: `\u0436${Math.random()}` }, { b: Math.random() }, { c: Math.random() }];
+    const first = spillStore(dir, { segmentBytes: 32 });
+    await first.append(records);
+    await first.remove(1);
+    const second = spillStore(dir, { segmentBytes: 32 });
+    assert.deepStrictEqual(await second.peek(10), records.slice(1), 'Should resume after restart');
+  });
+
+  it('ignores a partially written trailing line on restart', async () => {
+    const first = spillStore(dir);
+    const record = { v: `\u00f8${Math.random()}` };
+    await first.append([record]);
+    const [name] = (await fs.readdir(dir)).filter((n) => n.endsWith('.log'));
+    await fs.appendFile(path.join(dir, name), '{"broken":');
+    const second = spillStore(dir);
+    assert.deepStrictEqual(await second.peek(10), [record], 'Should drop incomplete line');
+  });
+
+  it('rejects append beyond size cap', async () => {
+    const store = spillStore(dir, { maxBytes: 32 });
+    await store.append([{ v: 1 }]);
+    await assert.rejects(
+      store.append([{ v: `\u00e9${'x'.repeat(64)}` }]),
+      /Spill store is full/,
+      'Should reject append beyond cap'
+    );
+  });
+
+  it('throws on empty directory', () => {
+    assert.throws(
+      () => spillStore(''),
+      /Directory must be a non-empty string/,
+      'Should reject empty directory'
+    );
+  });
+
+  it('throws on invalid segment bytes', () => {
+    assert.throws(
+      () => spillStore(dir, { segmentBytes: -Math.floor(Math.random() * 10) }),
+      /Segment bytes must be a positive number/,
+      'Should reject invalid segment bytes'
+    );
+  });
+
+  it('throws on invalid max bytes', () => {
+    assert.throws(
+      () => spillStore(dir, { maxBytes: 0 }),
+      /Max bytes must be a positive number/,
+      'Should reject invalid max bytes'
+    );
+  });
+});
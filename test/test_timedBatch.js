@@ -77,6 +77,23 @@ describe('timedBatch', () => {
     assert.strictEqual(count, 1, 'Should not flush twice after manual flush');
   });
 
+  it('schedules another flush after a rejected flush', async () => {
+    let count = 0;
+    const origin = {
+      accept: () => {},
+      flush: () => {
+        count += 1;
+        return Promise.reject(new Error(`\u00e5${Math.random()}`));
+      },
+      stop: () => {}
+    };
+    const timed = timedBatch(origin, 0.03);
+    timed.accept({ w: Math.random() });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    timed.stop();
+    assert.strictEqual(count >= 2, true, 'Should retry flush after rejection');
+  });
+
   it('throws on missing accept method', () => {
     const origin = { flush: () => {}, stop: () => {} };
     assert.throws(
@@ -0,0 +1,41 @@
+import assert from 'node:assert';
+import { describe, it } from 'mocha';
+import topicMatch from '../src/topicMatch.js';
+
+describe('topicMatch', () => {
+  it('matches exact topic', () => {
+    const topic = `sensors/\u00e9${Math.floor(Math.random() * 1000)}`;
+    assert.strictEqual(topicMatch(topic, topic), true, 'Should match identical topic');
+  });
+
+  it('matches single-level wildcard', () => {
+    const id = Math.random().toString(36).slice(2);
+    assert.strictEqual(topicMatch('devices/+/status', `devices/${id}/status`), true, 'Should match one level');
+  });
+
+  it('does not match single-level wildcard across levels', () => {
+    assert.strictEqual(topicMatch('devices/+/status', 'devices/a/b/status'), false, 'Should not match two levels');
+  });
+
+  it('matches multi-level wildcard', () => {
+    const depth = Math.floor(Math.random() * 4) + 1;
+    const topic = ['sensors', ...Array.from({ length: depth }, (_, i) => `\u4e2d${i}`)].join('/');
+    assert.strictEqual(topicMatch('sensors/#', topic), true, 'Should match any depth');
+  });
+
+  it('matches parent level with multi-level wildcard', () => {
+    assert.strictEqual(topicMatch('sensors/#', 'sensors'), true, 'Should match parent level');
+  });
+
+  it('does not match different prefix', () => {
+    assert.strictEqual(topicMatch('sensors/#', 'devices/a'), false, 'Should not match other prefix');
+  });
+
+  it('does not match shorter topic', () => {
+    assert.strictEqual(topicMatch('a/b/c', 'a/b'), false, 'Should not match shorter topic');
+  });
+
+  it('does not match system topics with leading wildcard', () => {
+    assert.strictEqual(topicMatch('#', '$SYS/broker/uptime'), false, 'Should not match $ topics');
+  });
+});